@@ -1,11 +1,40 @@
 // app.js - Main application controller
 
-import { MODAL_DATA, getMode, getGroove, transposeToRoot } from './modal-data.js';
-import { getNoteCountingConfig } from './config.js';
-import { ModalAudioEngine } from './audio.js';
+import { MODAL_DATA, getMode, getModeIds, getGroove, getColorVoicings, getRhythmicGrid, transposeToRoot } from './modal-data.js';
+import { getPitchDetectionConfig } from './config.js';
+import { ModalAudioEngine, DRONE_VOICES, DRONE_PARTIALS, validateTempoRamp } from './audio.js';
+import { MIXER_CHANNELS } from './mixer.js';
 import { FretboardVisualizer } from './fretboard.js';
 import { BassPitchDetector } from './pitch-detector.js';
 import { VERSION_INFO } from './version.js';
+import { loadCustomModes } from './custom-modes.js';
+import { CustomModeEditor } from './mode-editor.js';
+import { GrooveEditor } from './groove-editor.js';
+import { loadUserGrooves, exportGroovePack, importGroovePack } from './groove-packs.js';
+import { exportBackingTrack, validateExportOptions } from './wav-export.js';
+import { SessionRecorder, mixRecording } from './session-recorder.js';
+import { SessionReplay } from './session-replay.js';
+import { MidiOutput } from './midi-output.js';
+import { MidiNoteInput, isMidiDeviceId } from './midi-input.js';
+import { Tuner, formatCents, TUNING_CHECK_DURATION, TUNING_CHECK_INTERVAL } from './tuner.js';
+import { LatencyCalibration, loadLatencyOffset, saveLatencyOffset, CALIBRATION_PULSES } from './latency-calibration.js';
+import { summarizeTiming, describeOffset, ON_TIME_MS, TIMING_BINS } from './timing-analysis.js';
+import { PhraseTrainer } from './phrase-trainer.js';
+import { EarTrainer } from './ear-training.js';
+import { generateBassLine } from './bass-line.js';
+
+// Share of characteristic tones that counts as a strong modal sound
+const CHARACTERISTIC_TARGET_PCT = 30;
+// Fewest notes at one tempo before the speed trainer judges it
+const RAMP_MIN_NOTES = 8;
+// Notes averaged for the live ahead/behind indicator
+const RECENT_TIMING_NOTES = 8;
+
+// Ear training pacing (ms)
+const EAR_FIRST_DELAY = 1500; // Let the drone settle before the first question
+const EAR_NEXT_DELAY = 2000;
+
+const DRONE_PARTIAL_LABELS = {root: 'Root', fifth: 'Fifth', octave: 'Octave', sub: 'Sub-octave'};
 
 class ModalBassTrainer {
   constructor() {
@@ -13,14 +42,30 @@ class ModalBassTrainer {
     this.audioEngine = null;
     this.pitchDetector = null;
     this.fretboard = null;
+    this.modeEditor = null;
+    this.grooveEditor = null;
     
     // State
     this.currentMode = 'dorian';
     this.currentRoot = 'D';
     this.currentRootMIDI = 62; // D3
-    this.practiceType = 'drone'; // 'drone' or 'groove'
+    this.practiceType = 'drone'; // 'drone', 'groove', 'phrase' (call and response over a groove) or 'ear' (over the drone)
     this.currentGroove = null;
     this.tempo = 90;
+    this.drumsEnabled = true;
+    this.metronomeEnabled = false;
+    this.clickVolume = 0.6;
+    this.countInBars = 0;
+    this.isCountingIn = false;
+    this.countInTimer = null;
+    this.tempoRampMode = 'off'; // 'off', 'step' or 'sawtooth'
+    this.activeTempoRamp = null;
+    this.currentTempo = 90; // Tempo actually playing, which a ramp changes
+    this.includeFifth = true;
+    this.colorPadEnabled = false;
+    this.recordingEnabled = false;
+    this.sessionRecorder = new SessionRecorder();
+    this.recordingUrls = [];
     this.volume = 0.5; // 0.0 to 1.0 (50% default)
     this.isPlaying = false;
     
@@ -33,18 +78,28 @@ class ModalBassTrainer {
       avoidToneCount: 0
     };
 
-    // Track last counted MIDI note to prevent counting sustained notes multiple times
-    this.lastCountedMIDI = null;
-    this.lastNoteTime = null;
     this.lastDetectionTime = null;
 
-    // Load note counting configuration
-    const noteConfig = getNoteCountingConfig();
-    this.timeGateMs = noteConfig.timeGateMs;
-    this.enablePitchClassMatching = noteConfig.enablePitchClassMatching;
-
-    // Debug logging
+    // One entry per segmented note, also the session replay's events
     this.debugLog = [];
+    this.noteEntries = new WeakMap(); // Segmenter note -> its debugLog entry, filled in when it ends
+
+    // Call and response
+    this.phraseTrainer = null;
+    this.phraseResponse = null; // {phrase, notes} while the user's reply bar is open
+    this.phraseTimer = null;
+
+    // Ear training
+    this.earTrainer = null;
+    this.earQuestion = null; // {semitones, degree, askedAt} while waiting for an answer
+    this.earTimer = null;
+
+    // Demo bass line
+    this.demoLine = null; // Line playing in the demo panel, from generateBassLine()
+
+    // Input latency (ms) for the selected device, subtracted from detection times
+    this.latencyOffset = 0;
+    this.calibration = null;
     
     // UI elements
     this.ui = {
@@ -54,13 +109,58 @@ class ModalBassTrainer {
       grooveSelect: document.getElementById('groove-select'),
       tempoSlider: document.getElementById('tempo-slider'),
       tempoDisplay: document.getElementById('tempo-display'),
+      drumsToggle: document.getElementById('drums-toggle'),
+      metronomeToggle: document.getElementById('metronome-toggle'),
+      clickVolumeSlider: document.getElementById('click-volume-slider'),
+      clickVolumeDisplay: document.getElementById('click-volume-display'),
+      countInSelect: document.getElementById('count-in-select'),
+      droneVoiceSelect: document.getElementById('drone-voice-select'),
+      dronePartials: document.getElementById('drone-partials'),
+      colorPadToggle: document.getElementById('color-pad-toggle'),
+      colorPadLevel: document.getElementById('color-pad-level'),
+      tempoRampSelect: document.getElementById('tempo-ramp-select'),
+      tempoRampFields: document.getElementById('tempo-ramp-fields'),
+      rampStartTempo: document.getElementById('ramp-start-tempo'),
+      rampIncrement: document.getElementById('ramp-increment'),
+      rampEveryLoops: document.getElementById('ramp-every-loops'),
+      rampCeiling: document.getElementById('ramp-ceiling'),
       volumeSlider: document.getElementById('volume-slider'),
+      mixerStrips: document.getElementById('mixer-strips'),
       volumeDisplay: document.getElementById('volume-display'),
       startButton: document.getElementById('start-button'),
       stopButton: document.getElementById('stop-button'),
       inputDeviceSelect: document.getElementById('input-device-select'),
       inputMeter: document.getElementById('input-meter'),
-      statsPanel: document.getElementById('stats-panel')
+      statsPanel: document.getElementById('stats-panel'),
+      exportModeGroovesButton: document.getElementById('export-mode-grooves-button'),
+      exportUserGroovesButton: document.getElementById('export-user-grooves-button'),
+      importGroovesInput: document.getElementById('import-grooves-input'),
+      groovePackMessages: document.getElementById('groove-pack-messages'),
+      wavExportBars: document.getElementById('wav-export-bars'),
+      wavExportBitDepth: document.getElementById('wav-export-bit-depth'),
+      wavExportCountIn: document.getElementById('wav-export-count-in'),
+      wavExportLoop: document.getElementById('wav-export-loop'),
+      wavExportButton: document.getElementById('wav-export-button'),
+      wavExportMessages: document.getElementById('wav-export-messages'),
+      midiPanel: document.getElementById('midi-panel'),
+      midiPortSelect: document.getElementById('midi-port-select'),
+      midiChannelSelect: document.getElementById('midi-channel-select'),
+      midiClockToggle: document.getElementById('midi-clock-toggle'),
+      midiMuteToggle: document.getElementById('midi-mute-toggle'),
+      midiMessages: document.getElementById('midi-messages'),
+      latencyOffsetDisplay: document.getElementById('latency-offset-display'),
+      latencyCalibrateButton: document.getElementById('latency-calibrate-button'),
+      latencyMessages: document.getElementById('latency-messages'),
+      tunerPanel: document.getElementById('tuner-panel'),
+      tunerButton: document.getElementById('tuner-button'),
+      tunerMessages: document.getElementById('tuner-messages'),
+      demoSeed: document.getElementById('demo-seed'),
+      demoNewButton: document.getElementById('demo-new-button'),
+      demoPlayButton: document.getElementById('demo-play-button'),
+      demoLineNotes: document.getElementById('demo-line-notes'),
+      demoMessages: document.getElementById('demo-messages'),
+      recordToggle: document.getElementById('record-toggle'),
+      sessionRecording: document.getElementById('session-recording')
     };
     
     this.init();
@@ -73,15 +173,16 @@ class ModalBassTrainer {
       await this.audioEngine.init();
       console.log('Audio engine initialized');
 
+      // External MIDI gear follows the engine's schedule
+      this.midiOutput = new MidiOutput();
+      this.audioEngine.setMidiOutput(this.midiOutput);
+
       // Initialize fretboard visualizer
       this.fretboard = new FretboardVisualizer('fretboard-canvas');
       console.log('Fretboard visualizer initialized');
 
       // Initialize pitch detector
-      this.pitchDetector = new BassPitchDetector(
-        (freq, conf, noteName, midiNote, cents) => this.onPitchDetected(freq, conf, noteName, midiNote, cents),
-        (level) => this.onLevelUpdate(level)
-      );
+      this.pitchDetector = this.createInputSource(null);
 
       // Request permission once to get device labels
       let permissionGranted = false;
@@ -105,6 +206,35 @@ class ModalBassTrainer {
       } else {
         console.log('Devices populated with placeholder names (permission needed)');
       }
+      this.updateLatencyOffset();
+
+      // Register saved custom modes, then build mode dropdown from MODAL_DATA
+      loadCustomModes();
+      loadUserGrooves();
+      this.populateModeOptions();
+      this.populateDroneControls();
+
+      // Initialize custom mode editor
+      this.modeEditor = new CustomModeEditor('custom-mode-editor', (modeId) => this.onCustomModesChanged(modeId));
+
+      // Initialize groove editor
+      this.grooveEditor = new GrooveEditor('groove-editor', this.audioEngine, (modeId, grooveId) => this.onGrooveSaved(modeId, grooveId));
+
+      // Initialize session replay
+      this.sessionReplay = new SessionReplay('session-replay', this.fretboard);
+
+      // Channel strips for the shared audio graph
+      this.renderMixer();
+
+      // Chromatic tuner, also reading the open strings before sessions
+      this.tuner = new Tuner('tuner', getPitchDetectionConfig().minFrequency);
+      this.tuningCheck = null; // {finish} while the pre-session check listens
+      this.lastTuningCheck = null; // Date.now() of the last check or tuner use
+
+      // Heat map cells answer ear training questions
+      this.fretboard.onHeatMapClick = (interval) => {
+        if (this.earQuestion) this.answerEarQuestion(interval, Date.now());
+      };
 
       // Setup UI event listeners
       this.setupUIListeners();
@@ -126,13 +256,15 @@ class ModalBassTrainer {
 
   async populateInputDevices() {
     const devices = await this.pitchDetector.getAvailableDevices();
+    const midiDevices = MidiNoteInput.getAvailableDevices(this.midiOutput.access);
     const select = this.ui.inputDeviceSelect;
+    const selected = select.value;
 
     console.log(`Found ${devices.length} audio input devices:`, devices);
 
     select.innerHTML = '';
 
-    if (devices.length === 0) {
+    if (devices.length === 0 && midiDevices.length === 0) {
       const option = document.createElement('option');
       option.textContent = 'No input devices found';
       option.disabled = true;
@@ -157,6 +289,142 @@ class ModalBassTrainer {
       option.textContent = label;
       select.appendChild(option);
     });
+
+    // MIDI pickups and keyboards are listed after the audio interfaces
+    if (midiDevices.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'MIDI';
+      midiDevices.forEach(device => {
+        const option = document.createElement('option');
+        option.value = device.deviceId;
+        option.textContent = device.label;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    }
+
+    // Keep the current device when the list is refreshed
+    if (Array.from(select.options).some(option => option.value === selected)) {
+      select.value = selected;
+    }
+  }
+
+  createInputSource(deviceId) {
+    // MIDI ports deliver notes directly; everything else goes through pitch detection
+    const onPitchDetected = (freq, conf, noteName, midiNote, cents, velocity, time) =>
+      this.onPitchDetected(freq, conf, noteName, midiNote, cents, velocity, time);
+    const onLevelUpdate = (level) => this.onLevelUpdate(level);
+    const onNoteStart = (note) => this.onNoteStart(note);
+    const onNoteEnd = (note) => this.onNoteEnd(note);
+
+    return isMidiDeviceId(deviceId)
+      ? new MidiNoteInput(onPitchDetected, onLevelUpdate, onNoteStart, onNoteEnd)
+      : new BassPitchDetector(onPitchDetected, onLevelUpdate, onNoteStart, onNoteEnd);
+  }
+
+  async initInput(deviceId) {
+    // Audio inputs share the engine's context, so the bass can be heard through the monitor strip
+    const success = await this.pitchDetector.init(deviceId, this.audioEngine.audioContext);
+    this.audioEngine.setMonitorSource(success ? this.pitchDetector.source : null);
+    return success;
+  }
+
+  releaseInput() {
+    this.audioEngine.setMonitorSource(null);
+    this.pitchDetector.cleanup();
+  }
+
+  populateModeOptions() {
+    const select = this.ui.modeSelect;
+    select.innerHTML = '';
+
+    // Group modes by family, preserving MODAL_DATA order
+    const groups = new Map();
+    getModeIds().forEach(modeId => {
+      const mode = getMode(modeId);
+      const family = mode.family || 'other';
+      if (!groups.has(family)) {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = MODAL_DATA.families[family] || 'Other Modes';
+        groups.set(family, optgroup);
+        select.appendChild(optgroup);
+      }
+
+      const option = document.createElement('option');
+      option.value = modeId;
+      option.textContent = mode.name;
+      groups.get(family).appendChild(option);
+    });
+
+    select.value = this.currentMode;
+  }
+
+  populateDroneControls() {
+    const select = this.ui.droneVoiceSelect;
+    select.innerHTML = Object.entries(DRONE_VOICES)
+      .map(([voiceId, voice]) => `<option value="${voiceId}">${voice.name}</option>`)
+      .join('');
+    select.value = this.audioEngine.droneVoice;
+    select.addEventListener('change', (e) => this.audioEngine.setDroneVoice(e.target.value));
+
+    // One row per partial: on/off plus level; the fifth checkbox is the engine's includeFifth
+    this.ui.dronePartials.innerHTML = DRONE_PARTIALS.map(partial => {
+      const level = Math.round(this.audioEngine.droneLevels[partial] * 100);
+      return `
+        <label class="drone-partial">
+          <input type="checkbox" data-partial="${partial}" ${partial !== 'fifth' || this.includeFifth ? 'checked' : ''}>
+          <span>${DRONE_PARTIAL_LABELS[partial]}</span>
+          <input type="range" data-partial="${partial}" min="0" max="100" value="${level}">
+        </label>
+      `;
+    }).join('');
+
+    this.ui.dronePartials.querySelectorAll('.drone-partial').forEach(row => {
+      const checkbox = row.querySelector('input[type="checkbox"]');
+      const slider = row.querySelector('input[type="range"]');
+      const partial = checkbox.dataset.partial;
+
+      const applyLevel = () => {
+        if (partial === 'fifth') {
+          this.includeFifth = checkbox.checked;
+          this.audioEngine.setIncludeFifth(this.includeFifth);
+          this.audioEngine.setDroneLevel(partial, parseInt(slider.value) / 100);
+        } else {
+          this.audioEngine.setDroneLevel(partial, checkbox.checked ? parseInt(slider.value) / 100 : 0);
+        }
+      };
+      checkbox.addEventListener('change', applyLevel);
+      slider.addEventListener('input', applyLevel);
+    });
+
+    // Colour pad voiced from the current mode; the level follows live
+    const applyPadLevel = () => {
+      this.colorPadEnabled = this.ui.colorPadToggle.checked;
+      this.audioEngine.setColorPadLevel(this.colorPadEnabled ? parseInt(this.ui.colorPadLevel.value) / 100 : 0);
+    };
+    this.ui.colorPadToggle.addEventListener('change', applyPadLevel);
+    this.ui.colorPadLevel.addEventListener('input', applyPadLevel);
+  }
+
+  onCustomModesChanged(modeId) {
+    if (modeId) {
+      this.currentMode = modeId;
+    } else if (!getMode(this.currentMode)) {
+      this.currentMode = getModeIds()[0];
+    }
+
+    this.populateModeOptions();
+    this.updateMode();
+  }
+
+  onGrooveSaved(modeId, grooveId) {
+    if (modeId !== this.currentMode) return;
+
+    this.updateGrooveOptions();
+    if (this.hasGroove()) {
+      this.ui.grooveSelect.value = grooveId;
+      this.currentGroove = grooveId;
+    }
   }
 
   setupUIListeners() {
@@ -166,7 +434,7 @@ class ModalBassTrainer {
     // Root selection
     this.ui.rootSelect.addEventListener('change', () => this.updateMode());
 
-    // Practice type (drone vs groove)
+    // Practice type (drone, groove or call and response)
     this.ui.practiceTypeRadios.forEach(radio => {
       radio.addEventListener('change', (e) => {
         this.practiceType = e.target.value;
@@ -177,6 +445,7 @@ class ModalBassTrainer {
     // Groove selection
     this.ui.grooveSelect.addEventListener('change', (e) => {
       this.currentGroove = e.target.value;
+      this.stopDemo();
     });
 
     // Tempo slider
@@ -184,12 +453,44 @@ class ModalBassTrainer {
       this.tempo = parseInt(e.target.value);
       this.ui.tempoDisplay.textContent = this.tempo;
 
-      // Update tempo if already playing
-      if (this.isPlaying && this.practiceType === 'groove') {
+      // Update tempo if already playing (drone mode uses it for the metronome)
+      if (this.isPlaying || this.demoLine) {
         this.audioEngine.setTempo(this.tempo);
       }
     });
 
+    // Drum kit on/off, takes effect on the next scheduled step
+    this.ui.drumsToggle.addEventListener('change', (e) => {
+      this.drumsEnabled = e.target.checked;
+      this.audioEngine.setDrumsEnabled(this.drumsEnabled);
+    });
+
+    // Speed trainer
+    this.ui.tempoRampSelect.addEventListener('change', (e) => {
+      this.tempoRampMode = e.target.value;
+      this.ui.tempoRampFields.style.display = this.tempoRampMode === 'off' ? 'none' : '';
+    });
+    this.ui.tempoRampFields.style.display = 'none';
+
+    // Metronome click and count-in
+    this.ui.metronomeToggle.addEventListener('change', (e) => {
+      this.metronomeEnabled = e.target.checked;
+      this.audioEngine.setMetronomeEnabled(this.metronomeEnabled);
+      this.updateTempoVisibility();
+    });
+
+    this.ui.clickVolumeSlider.addEventListener('input', (e) => {
+      const volumePercent = parseInt(e.target.value);
+      this.clickVolume = volumePercent / 100;
+      this.ui.clickVolumeDisplay.textContent = volumePercent;
+      this.audioEngine.setClickVolume(this.clickVolume);
+    });
+
+    this.ui.countInSelect.addEventListener('change', (e) => {
+      this.countInBars = parseInt(e.target.value);
+      this.updateTempoVisibility();
+    });
+
     // Volume slider
     this.ui.volumeSlider.addEventListener('input', (e) => {
       const volumePercent = parseInt(e.target.value);
@@ -208,41 +509,530 @@ class ModalBassTrainer {
 
     // Keyboard shortcut: spacebar to start/stop
     window.addEventListener('keydown', (e) => {
+      // Leave spacebar alone while typing in editor fields
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName) && e.target.type !== 'range') {
+        return;
+      }
+
       // Only respond to spacebar
       if (e.code === 'Space' || e.key === ' ') {
         // Prevent default spacebar behavior (page scroll)
         e.preventDefault();
 
-        // Toggle start/stop based on current state
+        // Toggle start/stop based on current state; a disabled Start button (e.g. calibrating) blocks starting too
         if (this.isPlaying) {
           this.stop();
-        } else {
+        } else if (!this.ui.startButton.disabled) {
           this.start();
         }
       }
     });
 
+    // Groove pack import/export
+    this.ui.exportModeGroovesButton.addEventListener('click', () => {
+      const mode = getMode(this.currentMode);
+      const pack = exportGroovePack([this.currentMode], `${mode.name} Grooves`);
+      this.downloadFile(JSON.stringify(pack, null, 2), `${this.currentMode}-grooves.json`, 'application/json');
+    });
+
+    this.ui.exportUserGroovesButton.addEventListener('click', () => {
+      const pack = exportGroovePack(getModeIds(), 'My Grooves', true);
+      if (pack.grooves.length === 0) {
+        this.showPanelMessages(this.ui.groovePackMessages, ['No user grooves to export yet.'], true);
+        return;
+      }
+      this.downloadFile(JSON.stringify(pack, null, 2), 'my-grooves.json', 'application/json');
+    });
+
+    this.ui.importGroovesInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const { imported, skipped, errors } = importGroovePack(await file.text());
+      e.target.value = ''; // Allow re-importing the same file
+
+      if (errors.length > 0) {
+        // Invalid packs import nothing; errors after some were imported are grooves that failed to save
+        const heading = imported > 0
+          ? `Imported ${imported} groove${imported === 1 ? '' : 's'} from "${file.name}", but some could not be saved:`
+          : `Import of "${file.name}" rejected:`;
+        this.showPanelMessages(this.ui.groovePackMessages, [heading, ...errors], true);
+      } else {
+        const skippedNote = skipped > 0 ? ` (${skipped} built-in groove${skipped === 1 ? '' : 's'} already present)` : '';
+        this.showPanelMessages(this.ui.groovePackMessages, [`Imported ${imported} groove${imported === 1 ? '' : 's'} from "${file.name}"${skippedNote}.`], false);
+      }
+      this.updateGrooveOptions();
+    });
+
+    // Session recording
+    this.ui.recordToggle.disabled = !SessionRecorder.isSupported();
+    this.ui.recordToggle.addEventListener('change', (e) => {
+      this.recordingEnabled = e.target.checked;
+    });
+
+    // Mixer strips: gain and pan sliders, mute and solo checkboxes
+    this.ui.mixerStrips.addEventListener('input', (e) => this.onMixerInput(e.target));
+
+    // Demo bass line
+    this.ui.demoPlayButton.addEventListener('click', () => this.toggleDemo());
+    this.ui.demoNewButton.addEventListener('click', () => {
+      this.ui.demoSeed.value = Math.floor(Math.random() * 1000000);
+      this.restartDemo();
+    });
+    this.ui.demoSeed.addEventListener('change', () => this.restartDemo());
+
+    // Latency calibration
+    this.ui.latencyCalibrateButton.addEventListener('click', () => {
+      if (this.calibration) {
+        this.calibration.cancel();
+      } else {
+        this.calibrateLatency();
+      }
+    });
+    this.ui.tunerButton.addEventListener('click', () => this.toggleTuner());
+
+    // MIDI output (access is only requested once the panel is opened)
+    for (let channel = 1; channel <= 16; channel++) {
+      this.ui.midiChannelSelect.add(new Option(channel, channel));
+    }
+    this.ui.midiPanel.addEventListener('toggle', () => {
+      if (this.ui.midiPanel.open) this.enableMidi();
+    });
+    this.ui.midiPortSelect.addEventListener('change', (e) => {
+      this.midiOutput.setPort(e.target.value);
+    });
+    this.ui.midiChannelSelect.addEventListener('change', (e) => {
+      this.midiOutput.setChannel(parseInt(e.target.value));
+    });
+    this.ui.midiClockToggle.addEventListener('change', (e) => {
+      this.midiOutput.setSendClock(e.target.checked);
+    });
+    this.ui.midiMuteToggle.addEventListener('change', (e) => {
+      this.audioEngine.setInternalMuted(e.target.checked);
+    });
+
+    // Backing track export
+    this.ui.wavExportButton.addEventListener('click', () => this.exportWav());
+
     // Input device change
     this.ui.inputDeviceSelect.addEventListener('change', async () => {
-      // Cleanup existing stream if any
-      if (this.pitchDetector.mediaStream) {
-        this.pitchDetector.cleanup();
+      // MIDI notes carry no tuning
+      if (isMidiDeviceId(this.ui.inputDeviceSelect.value)) {
+        this.stopTuner();
       }
+      const wasRunning = this.pitchDetector.isRunning;
+
+      // Cleanup existing stream or port, and switch between audio and MIDI input
+      this.releaseInput();
+      this.pitchDetector = this.createInputSource(this.ui.inputDeviceSelect.value);
+
+      // Each device has its own calibrated offset
+      this.updateLatencyOffset();
 
       // If currently running, reinitialize with new device
-      if (this.pitchDetector.isRunning) {
+      if (wasRunning) {
         await this.reinitializePitchDetector();
       }
     });
   }
 
+  renderMixer() {
+    const settings = this.audioEngine.mixer.getSettings();
+    this.ui.mixerStrips.innerHTML = MIXER_CHANNELS.map(channel => {
+      const strip = settings[channel.id];
+      return `
+        <div class="mixer-strip" data-channel="${channel.id}">
+          <strong>${channel.name}</strong>
+          <label>Gain
+            <input type="range" data-control="gain" min="0" max="150" value="${Math.round(strip.gain * 100)}">
+          </label>
+          <label>Pan
+            <input type="range" data-control="pan" min="-100" max="100" value="${Math.round(strip.pan * 100)}">
+          </label>
+          <div class="mixer-toggles">
+            <label><input type="checkbox" data-control="mute" ${strip.muted ? 'checked' : ''}> Mute</label>
+            <label><input type="checkbox" data-control="solo" ${strip.soloed ? 'checked' : ''}> Solo</label>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  onMixerInput(input) {
+    const channelId = input.closest('.mixer-strip').dataset.channel;
+    const mixer = this.audioEngine.mixer;
+
+    switch (input.dataset.control) {
+      case 'gain':
+        mixer.setGain(channelId, parseInt(input.value) / 100);
+        break;
+      case 'pan':
+        mixer.setPan(channelId, parseInt(input.value) / 100);
+        break;
+      case 'mute':
+        mixer.setMuted(channelId, input.checked);
+        break;
+      case 'solo':
+        mixer.setSoloed(channelId, input.checked);
+        break;
+    }
+  }
+
+  showPanelMessages(container, messages, isError) {
+    // Messages may quote imported files (names, ids), so they go in as text
+    const className = isError ? 'feedback-warning' : 'feedback-good';
+    container.innerHTML = '';
+    messages.forEach(message => {
+      const paragraph = document.createElement('p');
+      paragraph.className = className;
+      paragraph.textContent = message;
+      container.appendChild(paragraph);
+    });
+  }
+
+  updateLatencyOffset() {
+    const deviceId = this.ui.inputDeviceSelect.value;
+    this.latencyOffset = loadLatencyOffset(deviceId);
+    this.ui.latencyOffsetDisplay.textContent = this.latencyOffset ? `${this.latencyOffset} ms` : 'not calibrated';
+  }
+
+  async calibrateLatency() {
+    if (this.isPlaying || this.calibration || this.tuningCheck) return;
+
+    const deviceId = this.ui.inputDeviceSelect.value;
+    this.grooveEditor.stopAudition();
+    this.stopDemo();
+    this.stopTuner();
+
+    // Pulses played into a suspended context are never heard
+    await this.audioEngine.resume();
+    if (!this.pitchDetector.mediaStream) {
+      const success = await this.initInput(deviceId);
+      if (!success) {
+        this.showPanelMessages(this.ui.latencyMessages, ['Failed to access the input device.'], true);
+        return;
+      }
+    }
+
+    this.ui.latencyCalibrateButton.textContent = 'Cancel';
+    this.ui.startButton.disabled = true;
+    this.ui.tunerButton.disabled = true;
+    this.ui.inputDeviceSelect.disabled = true;
+    this.showPanelMessages(this.ui.latencyMessages, [`Listening for ${CALIBRATION_PULSES} pulses...`], false);
+
+    this.calibration = new LatencyCalibration(this.audioEngine, this.pitchDetector.mediaStream);
+    this.pitchDetector.start();
+
+    try {
+      const result = await this.calibration.run();
+      saveLatencyOffset(deviceId, result);
+      this.updateLatencyOffset();
+      this.showPanelMessages(this.ui.latencyMessages, [
+        `Offset ${result.offset} ms from ${result.matches} of ${CALIBRATION_PULSES} pulses`,
+        `Round-trip about ${result.roundTrip} ms reported by the browser; notes are detected about ${result.detection} ms after they start`
+      ], false);
+    } catch (error) {
+      console.error('Calibration error:', error);
+      this.showPanelMessages(this.ui.latencyMessages, [error.message], true);
+    } finally {
+      this.calibration = null;
+      this.pitchDetector.stop();
+      this.ui.latencyCalibrateButton.textContent = 'Calibrate';
+      this.ui.startButton.disabled = false;
+      this.ui.tunerButton.disabled = false;
+      this.ui.inputDeviceSelect.disabled = false;
+    }
+  }
+
+  // ===== TUNER =====
+
+  toggleTuner() {
+    if (this.tuner.isActive) {
+      this.stopTuner();
+    } else {
+      this.startTuner();
+    }
+  }
+
+  async startTuner() {
+    if (this.isPlaying || this.calibration || this.tuningCheck || this.tuner.isActive) return;
+
+    const deviceId = this.ui.inputDeviceSelect.value;
+    if (isMidiDeviceId(deviceId)) {
+      this.showPanelMessages(this.ui.tunerMessages, ['The tuner needs an audio input; MIDI notes carry no tuning.'], true);
+      return;
+    }
+
+    await this.audioEngine.resume();
+    if (!this.pitchDetector.mediaStream) {
+      const success = await this.initInput(deviceId);
+      if (!success) {
+        this.showPanelMessages(this.ui.tunerMessages, ['Failed to access the input device.'], true);
+        return;
+      }
+    }
+
+    this.ui.tunerPanel.open = true;
+    this.ui.tunerMessages.innerHTML = '';
+    this.ui.tunerButton.textContent = 'Stop Tuner';
+    this.pitchDetector.start();
+    this.tuner.start();
+  }
+
+  stopTuner() {
+    if (!this.tuner.isActive) return;
+
+    this.tuner.stop();
+    this.pitchDetector.stop();
+    this.lastTuningCheck = Date.now(); // Just tuned
+    this.ui.tunerButton.textContent = 'Start Tuner';
+  }
+
+  // Sessions check the tuning when it hasn't been checked or tuned lately; MIDI has none to check
+  needsTuningCheck() {
+    if (isMidiDeviceId(this.ui.inputDeviceSelect.value)) return false;
+    return this.lastTuningCheck === null || Date.now() - this.lastTuningCheck > TUNING_CHECK_INTERVAL;
+  }
+
+  // Listen to the open strings for a few seconds before a session, then offer the tuner if any
+  // read more than OUT_OF_TUNE_CENTS off. Only notes at an open string's pitch are measured, so
+  // the check relies on the player ringing open strings as asked. Resolves to true if the tuner
+  // was opened instead of the session.
+  async checkTuning() {
+    if (!this.pitchDetector.mediaStream) {
+      const success = await this.initInput(this.ui.inputDeviceSelect.value);
+      if (!success) return false; // start() reports the input error
+    }
+
+    this.showStatus('Tuning check: let each open string ring. Press Start again to skip.');
+    this.tuner.beginCheck();
+    this.pitchDetector.start();
+
+    await new Promise(resolve => {
+      const timer = setTimeout(() => finish(), TUNING_CHECK_DURATION);
+      const poll = setInterval(() => {
+        if (this.tuner.hasHeardAllStrings()) finish();
+      }, 100);
+      const finish = () => {
+        clearTimeout(timer);
+        clearInterval(poll);
+        resolve();
+      };
+      this.tuningCheck = {finish};
+    });
+
+    this.tuningCheck = null;
+    this.tuner.endCheck();
+    this.pitchDetector.stop();
+    this.lastTuningCheck = Date.now();
+
+    const outOfTune = this.tuner.getOutOfTuneStrings();
+    if (outOfTune.length === 0) return false;
+
+    const strings = outOfTune.map(string => `${string.name} ${formatCents(string.cents)}`).join(', ');
+    if (!window.confirm(`Open strings read out of tune (${strings}). Tune up before starting?`)) return false;
+
+    this.startTuner();
+    return true;
+  }
+
+  async enableMidi() {
+    if (!MidiOutput.isSupported()) {
+      this.showPanelMessages(this.ui.midiMessages, ['Web MIDI is not supported in this browser.'], true);
+      return;
+    }
+
+    const success = await this.midiOutput.init();
+    if (!success) {
+      this.showPanelMessages(this.ui.midiMessages, ['MIDI access was denied.'], true);
+      return;
+    }
+
+    // Keep the port lists current as devices come and go; MIDI inputs join the input dropdown
+    this.midiOutput.access.onstatechange = () => {
+      this.populateMidiPorts();
+      this.populateInputDevices();
+    };
+    this.populateMidiPorts();
+    this.populateInputDevices();
+  }
+
+  populateMidiPorts() {
+    const select = this.ui.midiPortSelect;
+    const ports = this.midiOutput.getPorts();
+    const selected = select.value;
+
+    select.innerHTML = '<option value="">Off</option>';
+    ports.forEach(port => select.add(new Option(port.name, port.id)));
+
+    // Fall back to Off if the selected port was unplugged
+    select.value = ports.some(port => port.id === selected) ? selected : '';
+    if (select.value !== selected) {
+      this.midiOutput.setPort('');
+    }
+
+    const message = ports.length === 0 ? 'No MIDI outputs found.' : `${ports.length} MIDI output${ports.length === 1 ? '' : 's'} available.`;
+    this.showPanelMessages(this.ui.midiMessages, [message], ports.length === 0);
+  }
+
+  async exportWav() {
+    const mode = getMode(this.currentMode);
+    const groove = this.hasGroove() && this.currentGroove
+      ? getGroove(this.currentMode, this.currentGroove)
+      : null;
+
+    const options = {
+      rootPitch: this.currentRootMIDI,
+      groove,
+      tempo: this.tempo,
+      bars: parseInt(this.ui.wavExportBars.value),
+      countInBars: parseInt(this.ui.wavExportCountIn.value),
+      loop: this.ui.wavExportLoop.checked,
+      bitDepth: parseInt(this.ui.wavExportBitDepth.value)
+    };
+
+    const errors = validateExportOptions(options);
+    if (errors.length > 0) {
+      this.showPanelMessages(this.ui.wavExportMessages, errors, true);
+      return;
+    }
+
+    // The pad is only voiced at start, so set it up for the current mode first
+    this.audioEngine.setColorPad(this.colorPadEnabled ? getColorVoicings(mode) : null);
+
+    this.ui.wavExportButton.disabled = true;
+    this.showPanelMessages(this.ui.wavExportMessages, ['Rendering...'], false);
+
+    try {
+      const wav = await exportBackingTrack(this.audioEngine, options);
+      const name = [this.currentMode, this.currentRoot.replace('#', 's'), groove ? groove.id : 'drone', `${this.tempo}bpm`]
+        .join('-');
+      this.downloadFile(wav, `${name}.wav`, 'audio/wav');
+      this.showPanelMessages(this.ui.wavExportMessages, [`Saved ${name}.wav`], false);
+    } catch (error) {
+      console.error('WAV export error:', error);
+      this.showPanelMessages(this.ui.wavExportMessages, ['Failed to render backing track. ' + error.message], true);
+    } finally {
+      this.ui.wavExportButton.disabled = false;
+    }
+  }
+
+  // ===== DEMO BASS LINE =====
+
+  toggleDemo() {
+    if (this.isDemoPlaying()) {
+      this.stopDemo();
+    } else {
+      this.playDemo();
+    }
+  }
+
+  isDemoPlaying() {
+    // An editor audition may have taken the engine over since the demo started
+    return this.demoLine !== null && this.audioEngine.grooveData !== null
+      && this.audioEngine.grooveData.bassLine === this.demoLine;
+  }
+
+  playDemo() {
+    if (this.isPlaying) return;
+
+    const mode = getMode(this.currentMode);
+    const seed = parseInt(this.ui.demoSeed.value);
+    // Drone practice has no groove selected, so use the mode's first
+    const groove = this.hasGroove() && this.currentGroove
+      ? getGroove(this.currentMode, this.currentGroove)
+      : mode.grooves[0];
+
+    const errors = [];
+    if (!Number.isInteger(seed) || seed < 0) {
+      errors.push('Seed must be a whole number of 0 or more');
+    }
+    if (!groove) {
+      errors.push(`${mode.name} has no grooves to play a demo over`);
+    }
+    if (errors.length > 0) {
+      this.showPanelMessages(this.ui.demoMessages, errors, true);
+      return;
+    }
+
+    const line = generateBassLine(mode, groove, this.currentRootMIDI, seed);
+    this.grooveEditor.stopAudition();
+    this.sessionReplay.unload();
+    this.fretboard.setMode(this.currentMode, this.currentRootMIDI);
+
+    this.audioEngine.onBassNote = (note) => {
+      if (this.demoLine) this.fretboard.updatePosition(note.midi);
+    };
+    this.audioEngine.setTempoRamp(null);
+    this.audioEngine.setVolume(this.volume);
+    this.audioEngine.startGroove(this.currentRootMIDI, {...groove, bassLine: line}, this.tempo);
+    this.demoLine = line;
+
+    this.ui.demoPlayButton.textContent = 'Stop';
+    this.renderDemoLine(groove, line);
+    this.showPanelMessages(this.ui.demoMessages, [], false);
+  }
+
+  // Groove names can come from imported packs, so they go in as text
+  renderDemoLine(groove, line) {
+    const heading = document.createElement('p');
+    const name = document.createElement('strong');
+    name.textContent = groove.name;
+    heading.append(name, `, seed ${line.seed}:`);
+
+    const degrees = document.createElement('p');
+    degrees.textContent = line.notes.map(note => note.degree).join(' \u00b7 ');
+
+    this.ui.demoLineNotes.replaceChildren(heading, degrees);
+  }
+
+  restartDemo() {
+    if (!this.isDemoPlaying()) return;
+    this.stopDemo();
+    this.playDemo();
+  }
+
+  stopDemo() {
+    if (!this.demoLine) return;
+
+    if (this.isDemoPlaying()) {
+      this.audioEngine.stopAll();
+    }
+    this.demoLine = null;
+    this.audioEngine.onBassNote = null;
+    this.ui.demoPlayButton.textContent = 'Play Demo';
+  }
+
+  downloadFile(contents, filename, type) {
+    const blob = contents instanceof Blob ? contents : new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   updateMode() {
     this.currentMode = this.ui.modeSelect.value;
     this.currentRoot = this.ui.rootSelect.value;
     this.currentRootMIDI = this.noteNameToMIDI(this.currentRoot, 3);
+
+    // A demo line only fits the mode and root it was built for
+    this.stopDemo();
     
     // Update fretboard
     this.fretboard.setMode(this.currentMode, this.currentRootMIDI);
+
+    // Keep groove editor on the same mode and root
+    this.grooveEditor.setContext(this.currentMode, this.currentRootMIDI);
+
+    // The drone and colour pad follow root changes while playing
+    if (this.isPlaying && this.practiceType === 'drone') {
+      this.audioEngine.updateDroneRoot(this.currentRootMIDI);
+    }
     
     // Update groove options
     this.updateGrooveOptions();
@@ -252,22 +1042,50 @@ class ModalBassTrainer {
     this.showModeInfo(mode);
   }
 
+  hasGroove() {
+    // Drone and ear training play over the drone; the rest over the selected groove
+    return this.practiceType === 'groove' || this.practiceType === 'phrase';
+  }
+
+  updateTempoVisibility() {
+    // Tempo matters for grooves, and for drone mode once there is a click to follow
+    const tempoContainer = this.ui.tempoSlider.parentElement;
+    const visible = this.hasGroove() || this.metronomeEnabled || this.countInBars > 0;
+
+    tempoContainer.style.visibility = visible ? 'visible' : 'hidden';
+    tempoContainer.style.position = visible ? 'relative' : 'absolute';
+    tempoContainer.style.pointerEvents = visible ? 'auto' : 'none';
+  }
+
   updateGrooveOptions() {
+    this.updateTempoVisibility();
+
     const select = this.ui.grooveSelect;
     const grooveContainer = select.parentElement;
-    const tempoSlider = this.ui.tempoSlider;
-    const tempoContainer = tempoSlider.parentElement;
+    const drumsContainer = this.ui.drumsToggle.parentElement;
+    const rampContainer = this.ui.tempoRampSelect.parentElement;
+    const droneContainer = this.ui.droneVoiceSelect.parentElement;
 
-    if (this.practiceType === 'drone') {
+    if (!this.hasGroove()) {
       // Hide groove selector
       grooveContainer.style.visibility = 'hidden';
       grooveContainer.style.position = 'absolute';
       grooveContainer.style.pointerEvents = 'none';
 
-      // Hide tempo slider
-      tempoContainer.style.visibility = 'hidden';
-      tempoContainer.style.position = 'absolute';
-      tempoContainer.style.pointerEvents = 'none';
+      // Hide drums toggle
+      drumsContainer.style.visibility = 'hidden';
+      drumsContainer.style.position = 'absolute';
+      drumsContainer.style.pointerEvents = 'none';
+
+      // Hide speed trainer
+      rampContainer.style.visibility = 'hidden';
+      rampContainer.style.position = 'absolute';
+      rampContainer.style.pointerEvents = 'none';
+
+      // Show drone voice controls
+      droneContainer.style.visibility = 'visible';
+      droneContainer.style.position = 'relative';
+      droneContainer.style.pointerEvents = 'auto';
       return;
     }
 
@@ -276,10 +1094,21 @@ class ModalBassTrainer {
     grooveContainer.style.position = 'relative';
     grooveContainer.style.pointerEvents = 'auto';
 
-    // Show tempo slider
-    tempoContainer.style.visibility = 'visible';
-    tempoContainer.style.position = 'relative';
-    tempoContainer.style.pointerEvents = 'auto';
+    // Show drums toggle
+    drumsContainer.style.visibility = 'visible';
+    drumsContainer.style.position = 'relative';
+    drumsContainer.style.pointerEvents = 'auto';
+
+    // Speed trainer is for plain grooves; call and response keeps a steady tempo
+    const showRamp = this.practiceType === 'groove';
+    rampContainer.style.visibility = showRamp ? 'visible' : 'hidden';
+    rampContainer.style.position = showRamp ? 'relative' : 'absolute';
+    rampContainer.style.pointerEvents = showRamp ? 'auto' : 'none';
+
+    // Hide drone voice controls
+    droneContainer.style.visibility = 'hidden';
+    droneContainer.style.position = 'absolute';
+    droneContainer.style.pointerEvents = 'none';
 
     // Populate grooves for current mode
     const mode = getMode(this.currentMode);
@@ -292,18 +1121,50 @@ class ModalBassTrainer {
       select.appendChild(option);
     });
 
-    this.currentGroove = mode.grooves[0].id;
+    this.currentGroove = mode.grooves.length > 0 ? mode.grooves[0].id : null;
   }
 
   async start() {
+    // Calibration has the input until it finishes or is cancelled
+    if (this.calibration) return;
+
+    // Start again while the tuning check listens skips the rest of it
+    if (this.tuningCheck) {
+      this.tuningCheck.finish();
+      return;
+    }
+
     try {
+      // The shared context may have been created before any user gesture, and the tuning check
+      // hears nothing until it runs
+      await this.audioEngine.resume();
+
+      // A session with the strings out of tune is worth interrupting
+      if (!this.tuner.isActive && this.needsTuningCheck() && await this.checkTuning()) return;
+
+      // The session takes over the audio engine from any editor audition or demo, and the input from the tuner
+      this.grooveEditor.stopAudition();
+      this.stopDemo();
+      this.stopTuner();
+
+      // Speed trainer only applies to grooves
+      const tempoRamp = this.practiceType === 'groove' ? this.readTempoRamp() : null;
+      if (tempoRamp) {
+        const rampErrors = validateTempoRamp(tempoRamp);
+        if (rampErrors.length > 0) {
+          this.showError(rampErrors.join('. '));
+          return;
+        }
+      }
+
       // Initialize pitch detector with selected device (only if not already initialized)
       if (!this.pitchDetector.mediaStream) {
         const deviceId = this.ui.inputDeviceSelect.value;
-        const success = await this.pitchDetector.init(deviceId);
+        const success = await this.initInput(deviceId);
 
         if (!success) {
-          this.showError('Failed to access line input. Check permissions and device connection.');
+          const source = isMidiDeviceId(deviceId) ? 'MIDI input' : 'line input';
+          this.showError(`Failed to access ${source}. Check permissions and device connection.`);
           return;
         }
       }
@@ -311,23 +1172,59 @@ class ModalBassTrainer {
       // Start pitch detection
       this.pitchDetector.start();
       
-      // Start audio (drone or groove)
-      if (this.practiceType === 'drone') {
-        this.audioEngine.startDrone(this.currentRootMIDI, true);
+      // Phrases over the groove in call-and-response practice
+      if (this.practiceType === 'phrase') {
+        this.phraseTrainer = new PhraseTrainer(getMode(this.currentMode), this.currentRootMIDI);
+        this.audioEngine.setPhraseSource(
+          (grid) => this.phraseTrainer.nextPhrase(grid),
+          (type, phrase, startTime, endTime) => this.onPhraseBar(type, phrase, startTime, endTime)
+        );
+      } else {
+        this.phraseTrainer = null;
+        this.audioEngine.setPhraseSource(null);
+      }
+      this.phraseResponse = null;
+
+      // Start audio (drone or groove), after the count-in if one is set
+      let countInDuration;
+      if (!this.hasGroove()) {
+        this.currentTempo = this.tempo;
+        this.audioEngine.setTempoRamp(null);
+        this.audioEngine.setTempo(this.tempo); // Metronome pulse
+        this.audioEngine.setColorPad(this.colorPadEnabled ? getColorVoicings(getMode(this.currentMode)) : null);
+        countInDuration = this.audioEngine.startDrone(this.currentRootMIDI, this.includeFifth, this.countInBars);
       } else {
         const grooveData = getGroove(this.currentMode, this.currentGroove);
-        this.audioEngine.startGroove(this.currentRootMIDI, grooveData, this.tempo);
+        this.currentTempo = tempoRamp ? tempoRamp.startTempo : this.tempo;
+        this.audioEngine.setTempoRamp(tempoRamp, (tempo) => this.onRampTempoChange(tempo));
+        countInDuration = this.audioEngine.startGroove(this.currentRootMIDI, grooveData, this.currentTempo, this.countInBars);
       }
+      this.activeTempoRamp = tempoRamp;
+      this.ui.tempoDisplay.textContent = this.currentTempo;
 
       // Set initial volume
       this.audioEngine.setVolume(this.volume);
 
+      // Leave any replay of the last session
+      this.sessionReplay.unload();
+      this.fretboard.setMode(this.currentMode, this.currentRootMIDI);
+
+      // Record bass input and backing output as separate tracks
+      this.clearRecording();
+      if (this.recordingEnabled) {
+        // MIDI input has no audio, so only the backing is recorded
+        const tracks = {};
+        if (this.pitchDetector.mediaStream) {
+          tracks.bass = this.pitchDetector.mediaStream;
+        }
+        tracks.backing = this.audioEngine.getOutputStream();
+        this.sessionRecorder.start(tracks);
+      }
+
       // Update state
       this.isPlaying = true;
       this.session.startTime = Date.now();
       this.resetSessionStats();
-      this.lastCountedMIDI = null; // Reset note tracking for new session
-      this.lastNoteTime = null;
       this.lastDetectionTime = Date.now();
       this.debugLog = []; // Clear debug log
       
@@ -336,7 +1233,23 @@ class ModalBassTrainer {
       this.ui.stopButton.disabled = false;
       this.disableControls(true);
       
-      this.showStatus('Playing... Start practicing!');
+      // Analytics only start once the count-in is over
+      if (countInDuration > 0) {
+        this.isCountingIn = true;
+        this.showStatus('Count-in...');
+        this.countInTimer = setTimeout(() => this.endCountIn(), countInDuration * 1000);
+      } else {
+        this.showStatus('Playing... Start practicing!');
+      }
+
+      // Ear training asks its first question once the drone has settled
+      this.earQuestion = null;
+      if (this.practiceType === 'ear') {
+        this.earTrainer = new EarTrainer(this.currentMode, getMode(this.currentMode));
+        this.earTimer = setTimeout(() => this.askEarQuestion(), countInDuration * 1000 + EAR_FIRST_DELAY);
+      } else {
+        this.earTrainer = null;
+      }
       
     } catch (error) {
       console.error('Start error:', error);
@@ -344,20 +1257,159 @@ class ModalBassTrainer {
     }
   }
 
+  readTempoRamp() {
+    if (this.tempoRampMode === 'off') return null;
+
+    return {
+      mode: this.tempoRampMode,
+      startTempo: parseInt(this.ui.rampStartTempo.value),
+      increment: parseInt(this.ui.rampIncrement.value),
+      everyLoops: parseInt(this.ui.rampEveryLoops.value),
+      ceiling: parseInt(this.ui.rampCeiling.value)
+    };
+  }
+
+  onRampTempoChange(tempo) {
+    // Called as the new loop starts playing
+    if (!this.isPlaying) return;
+    this.currentTempo = tempo;
+    this.ui.tempoDisplay.textContent = tempo;
+  }
+
+  onPhraseBar(type, phrase, startTime, endTime) {
+    // Called as each call or response bar starts playing
+    if (!this.isPlaying) return;
+
+    if (type === 'call') {
+      this.showStatus(`Listen... (${this.phraseTrainer.levelName})`);
+      return;
+    }
+
+    this.showStatus('Your turn: play it back');
+    this.phraseResponse = {phrase, notes: []};
+
+    // Late notes still reach us after the bar ends, by the input latency
+    const closeAfter = (endTime - startTime) * 1000 + this.latencyOffset;
+    this.phraseTimer = setTimeout(() => this.scorePhraseResponse(), closeAfter);
+  }
+
+  scorePhraseResponse() {
+    this.phraseTimer = null;
+    if (!this.isPlaying || !this.phraseResponse) return;
+
+    const { phrase, notes } = this.phraseResponse;
+    this.phraseResponse = null;
+
+    const result = this.phraseTrainer.scoreResponse(phrase, notes);
+    this.session.phraseResults.push({...result, level: phrase.level});
+    this.lastPhraseResult = result;
+    this.updateStatsDisplay();
+  }
+
+  askEarQuestion() {
+    this.earTimer = null;
+    if (!this.isPlaying) return;
+
+    const question = this.earTrainer.nextQuestion();
+    this.earQuestion = {...question, askedAt: Date.now()};
+    this.audioEngine.playEarTone(this.currentRootMIDI + question.semitones);
+    this.showStatus('Which degree is that? Play it on bass or click it in the heat map.');
+  }
+
+  answerEarQuestion(semitones, answeredAt) {
+    const question = this.earQuestion;
+    this.earQuestion = null;
+
+    const reactionMs = Math.max(0, answeredAt - question.askedAt);
+    const result = this.earTrainer.answer(question, semitones, reactionMs);
+    this.session.earResults.push({semitones: question.semitones, correct: result.correct, reactionMs});
+
+    if (result.correct) {
+      this.showStatus(`✓ ${result.expected} in ${(reactionMs / 1000).toFixed(1)} s`);
+    } else {
+      // Sound the right degree again so the miss is heard
+      const mode = getMode(this.currentMode);
+      const answered = mode.intervals.find(int => int.semitones === semitones);
+      this.showStatus(`✗ That was ${result.expected}, not ${answered ? answered.degree : semitones}`);
+      this.audioEngine.playEarTone(this.currentRootMIDI + question.semitones);
+    }
+
+    this.earTimer = setTimeout(() => this.askEarQuestion(), EAR_NEXT_DELAY);
+  }
+
+  endCountIn() {
+    this.isCountingIn = false;
+    this.countInTimer = null;
+    this.session.startTime = Date.now();
+    this.lastDetectionTime = Date.now();
+
+    // Call and response and ear training show their own prompts
+    if (this.practiceType === 'drone' || this.practiceType === 'groove') {
+      this.showStatus('Playing... Start practicing!');
+    }
+  }
+
   stop() {
     // Stop audio
     this.audioEngine.stopAll();
 
+    // Cancel a count-in that has not finished
+    if (this.countInTimer) {
+      clearTimeout(this.countInTimer);
+      this.countInTimer = null;
+    }
+    this.isCountingIn = false;
+
+    // Back to the slider tempo after a ramp
+    this.ui.tempoDisplay.textContent = this.tempo;
+
+    // Drop an unfinished reply and hand the engine back without phrases
+    if (this.phraseTimer) {
+      clearTimeout(this.phraseTimer);
+      this.phraseTimer = null;
+    }
+    this.phraseResponse = null;
+    this.audioEngine.setPhraseSource(null);
+
+    // Drop an unanswered ear training question
+    if (this.earTimer) {
+      clearTimeout(this.earTimer);
+      this.earTimer = null;
+    }
+    this.earQuestion = null;
+
     // Stop pitch detection
     this.pitchDetector.stop();
 
+    // Keep the detections for replay
+    const session = this.session;
+    session.endTime = Date.now();
+    session.mode = this.currentMode;
+    session.rootMIDI = this.currentRootMIDI;
+    session.events = this.debugLog.slice();
+    this.sessionReplay.load(session);
+
+    // Keep the recording with the session
+    if (this.sessionRecorder.isRecording) {
+      this.sessionRecorder.stop()
+        .then(recording => {
+          session.recording = recording;
+          // A new session may have started while the recorders finished
+          if (this.session === session && !this.isPlaying) {
+            this.showRecording(recording);
+          }
+          if (this.sessionReplay.session === session) {
+            this.sessionReplay.setRecording(recording);
+          }
+        })
+        .catch(error => console.error('Recording error:', error));
+    }
+
     // Print debug log summary
     this.printDebugSummary();
 
     // Update state
     this.isPlaying = false;
-    this.lastCountedMIDI = null; // Reset note tracking
-    this.lastNoteTime = null;
     this.lastDetectionTime = null;
 
     // Update UI
@@ -371,87 +1423,139 @@ class ModalBassTrainer {
     this.showStatus('Stopped. Review your session stats below.');
   }
 
-  printDebugSummary() {
-    console.log('\n========== SESSION DEBUG SUMMARY ==========');
-    console.log(`Total detections: ${this.debugLog.length}`);
-    console.log(`Total notes counted: ${this.session.totalNotes}`);
-    console.log(`\nDetections that were COUNTED:`);
+  showRecording(recording) {
+    this.clearRecording();
+
+    const names = {bass: 'Bass', backing: 'Backing'};
+    this.recordingUrls = Object.values(recording.tracks).map(blob => URL.createObjectURL(blob));
+    const tracksHTML = Object.keys(recording.tracks).map((name, index) => `
+      <div class="recording-track">
+        <span class="stat-label">${names[name] || name}</span>
+        <audio controls src="${this.recordingUrls[index]}"></audio>
+      </div>
+    `).join('');
+
+    this.ui.sessionRecording.innerHTML = `
+      <h3>Session Recording</h3>
+      ${tracksHTML}
+      <div class="button-group">
+        <button type="button" class="btn btn-primary" data-action="download-mix">Download Mix (WAV)</button>
+      </div>
+      <div class="recording-messages"></div>
+    `;
 
-    const countedNotes = this.debugLog.filter(entry => entry.counted);
-    countedNotes.forEach((entry, idx) => {
-      console.log(`  ${idx + 1}. ${entry.note} (MIDI ${entry.midi}) at ${entry.time}ms - gap: ${entry.timeSinceLast}ms`);
+    const button = this.ui.sessionRecording.querySelector('[data-action="download-mix"]');
+    const messages = this.ui.sessionRecording.querySelector('.recording-messages');
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      this.showPanelMessages(messages, ['Mixing...'], false);
+      try {
+        const wav = await mixRecording(recording);
+        const stamp = new Date(recording.startedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        this.downloadFile(wav, `session-${this.currentMode}-${stamp}.wav`, 'audio/wav');
+        this.showPanelMessages(messages, [], false);
+      } catch (error) {
+        console.error('Mixdown error:', error);
+        this.showPanelMessages(messages, ['Failed to mix the recording. ' + error.message], true);
+      } finally {
+        button.disabled = false;
+      }
     });
+  }
+
+  clearRecording() {
+    this.recordingUrls.forEach(url => URL.revokeObjectURL(url));
+    this.recordingUrls = [];
+    this.ui.sessionRecording.innerHTML = '';
+  }
+
+  printDebugSummary() {
+    console.log('\n========== SESSION DEBUG SUMMARY ==========');
+    console.log(`Total notes: ${this.debugLog.length}`);
+    console.log(`\nNotes (showing first 50):`);
 
-    console.log(`\nAll detections (showing first 50):`);
     this.debugLog.slice(0, 50).forEach((entry, idx) => {
-      const counted = entry.counted ? '✓ COUNTED' : '';
-      console.log(`  ${idx + 1}. ${entry.note.padEnd(4)} PC:${entry.pitchClass.toString().padStart(2)} t:${entry.time}ms gap:${entry.timeSinceLast.toString().padStart(4)} pcChg:${entry.pitchChanged} ${counted}`);
+      const duration = entry.duration !== null ? `${entry.duration}ms` : 'held';
+      console.log(`  ${idx + 1}. ${entry.note.padEnd(4)} PC:${entry.pitchClass.toString().padStart(2)} t:${entry.time}ms dur:${duration.padStart(6)} vel:${entry.velocity.toString().padStart(3)}`);
     });
 
     if (this.debugLog.length > 50) {
-      console.log(`  ... and ${this.debugLog.length - 50} more detections`);
+      console.log(`  ... and ${this.debugLog.length - 50} more notes`);
     }
     console.log('==========================================\n');
   }
 
   async reinitializePitchDetector() {
-    this.pitchDetector.cleanup();
-    
-    this.pitchDetector = new BassPitchDetector(
-      (freq, conf, noteName, midiNote, cents) => this.onPitchDetected(freq, conf, noteName, midiNote, cents),
-      (level) => this.onLevelUpdate(level)
-    );
+    this.releaseInput();
     
     const deviceId = this.ui.inputDeviceSelect.value;
-    await this.pitchDetector.init(deviceId);
+    this.pitchDetector = this.createInputSource(deviceId);
+    await this.initInput(deviceId);
     this.pitchDetector.start();
   }
 
-  onPitchDetected(frequency, confidence, noteName, midiNote, cents) {
-    // Update fretboard visualization (always update for real-time feedback)
+  onPitchDetected(frequency, confidence, noteName, midiNote, cents, velocity = null, time = null) {
+    // Live feedback only; analytics come from segmented notes (onNoteStart/onNoteEnd)
     this.fretboard.updatePosition(midiNote);
 
-    const now = Date.now();
-
-    // Hybrid approach: configurable time gate + pitch class change
-    // With Pitchy's improved stability, can use faster note sequences
-    const timeSinceLastNote = this.lastNoteTime ? (now - this.lastNoteTime) : Infinity;
-    const pitchClass = midiNote % 12;
-    const lastPitchClass = this.lastCountedMIDI !== null ? this.lastCountedMIDI % 12 : null;
-
-    // Use configuration for pitch class matching
-    const pitchClassChanged = this.enablePitchClassMatching
-      ? (lastPitchClass === null || pitchClass !== lastPitchClass)
-      : true;
-
-    // Count if: configured time gate passed AND pitch class changed (if enabled)
-    const shouldCount = timeSinceLastNote >= this.timeGateMs && pitchClassChanged;
-
-    // Log detection
-    const logEntry = {
-      time: now - this.session.startTime,
-      note: noteName,
-      midi: midiNote,
-      pitchClass: pitchClass,
-      timeSinceLast: timeSinceLastNote === Infinity ? 'N/A' : Math.round(timeSinceLastNote),
-      pitchChanged: pitchClassChanged,
-      counted: shouldCount
-    };
-    this.debugLog.push(logEntry);
+    // Only audio input has a tuning to read (MIDI notes come with a velocity)
+    if (velocity === null) {
+      this.tuner.update(frequency, midiNote, cents);
+    }
+
+    const context = this.audioEngine.audioContext;
+    this.lastDetectionTime = this.audioTimeToWallClock(time !== null ? time : context.currentTime);
+  }
 
-    if (shouldCount) {
-      this.trackNote(midiNote);
-      this.lastCountedMIDI = midiNote;
-      this.lastNoteTime = now;
+  // Inputs stamp notes on the AudioContext clock; session logs and calibration use Date.now()
+  audioTimeToWallClock(time) {
+    return Date.now() - (this.audioEngine.audioContext.currentTime - time) * 1000;
+  }
+
+  onNoteStart(note) {
+    const playedAt = this.audioTimeToWallClock(note.start);
+
+    // Calibration pulses are timed, not counted
+    if (this.calibration) {
+      this.calibration.onDetection(playedAt);
+      return;
+    }
+
+    // Nothing counts until the count-in is over
+    if (this.isCountingIn || !this.isPlaying) return;
+
+    this.trackNote(note.midi);
+    this.trackTiming(note.start);
+    if (this.phraseResponse) {
+      this.phraseResponse.notes.push(note.midi);
+    }
+    if (this.earQuestion) {
+      this.answerEarQuestion((note.midi - this.currentRootMIDI + 120) % 12, playedAt - this.latencyOffset);
     }
 
-    // Update last detection time
-    this.lastDetectionTime = now;
+    // Times are when the note was played, not when it was detected
+    const entry = {
+      time: Math.round(playedAt - this.latencyOffset - this.session.startTime),
+      note: this.midiToNoteName(note.midi),
+      midi: note.midi,
+      pitchClass: note.midi % 12,
+      velocity: note.velocity,
+      duration: null // ms, set when the note ends
+    };
+    this.debugLog.push(entry);
+    this.noteEntries.set(note, entry);
 
     // Update real-time stats display
     this.updateStatsDisplay();
   }
 
+  onNoteEnd(note) {
+    const entry = this.noteEntries.get(note);
+    if (entry) {
+      entry.duration = Math.round(note.duration * 1000);
+    }
+  }
+
   onLevelUpdate(level) {
     // Update input level meter
     const meter = this.ui.inputMeter;
@@ -475,6 +1579,13 @@ class ModalBassTrainer {
     // Increment distribution
     this.session.toneDistribution[intervalFromRoot]++;
     this.session.totalNotes++;
+
+    // Per-tempo counts for the speed trainer summary
+    if (!this.session.tempoStats[this.currentTempo]) {
+      this.session.tempoStats[this.currentTempo] = {totalNotes: 0, characteristicToneCount: 0};
+    }
+    const tempoStats = this.session.tempoStats[this.currentTempo];
+    tempoStats.totalNotes++;
     
     // Check if characteristic or avoid tone
     const mode = getMode(this.currentMode);
@@ -482,6 +1593,7 @@ class ModalBassTrainer {
     
     if (interval && interval.color === 'characteristic') {
       this.session.characteristicToneCount++;
+      tempoStats.characteristicToneCount++;
     }
     
     const isAvoid = mode.avoidNotes && mode.avoidNotes.some(avoid => avoid.semitones === intervalFromRoot);
@@ -490,6 +1602,21 @@ class ModalBassTrainer {
     }
   }
 
+  trackTiming(detectedAt) {
+    // Only grooves have a grid to play against
+    if (!this.hasGroove()) return;
+
+    // When the note was played, on the engine's clock
+    const playedAt = detectedAt - this.latencyOffset / 1000;
+    const step = this.audioEngine.getNearestStep(playedAt);
+    if (!step) return;
+
+    this.session.timing.push({
+      offset: (playedAt - step.time) * 1000, // ms, negative = early
+      beat: step.beat
+    });
+  }
+
   updateStatsDisplay() {
     if (!this.isPlaying || this.session.totalNotes === 0) return;
     
@@ -502,6 +1629,18 @@ class ModalBassTrainer {
     // Calculate stable tones (root and fifth)
     const stableTones = this.session.toneDistribution[0] + this.session.toneDistribution[7];
     const stablePct = (stableTones / this.session.totalNotes * 100).toFixed(1);
+
+    // Ahead/behind over the last few notes
+    let timingRow = '';
+    const recentTiming = this.session.timing.slice(-RECENT_TIMING_NOTES);
+    if (recentTiming.length > 0) {
+      const recentOffset = recentTiming.reduce((sum, entry) => sum + entry.offset, 0) / recentTiming.length;
+      timingRow = `
+      <div class="stat-row">
+        <span class="stat-label">Timing:</span>
+        <span class="stat-value ${Math.abs(recentOffset) <= ON_TIME_MS ? 'stat-good' : 'stat-warning'}">${describeOffset(recentOffset)}</span>
+      </div>`;
+    }
     
     const statsHTML = `
       <div class="stat-row">
@@ -519,13 +1658,19 @@ class ModalBassTrainer {
       <div class="stat-row">
         <span class="stat-label">Avoid tones:</span>
         <span class="stat-value stat-warning">${avoidPct}%</span>
-      </div>
+      </div>${timingRow}${this.renderPhraseRows()}
     `;
     
     this.ui.statsPanel.innerHTML = statsHTML;
   }
 
   showSessionSummary() {
+    // Ear training can be answered from the heat map alone
+    if (this.session.earResults.length > 0 && this.session.totalNotes === 0) {
+      this.ui.statsPanel.innerHTML = `<h3>Session Summary</h3>${this.renderEarSummary()}`;
+      return;
+    }
+
     if (this.session.totalNotes === 0) {
       this.ui.statsPanel.innerHTML = '<p>No notes detected in this session.</p>';
       return;
@@ -542,15 +1687,25 @@ class ModalBassTrainer {
     const avoidPct = (this.session.avoidToneCount / this.session.totalNotes * 100).toFixed(1);
     
     let feedback = '';
-    if (parseFloat(characteristicPct) > 30) {
+    if (parseFloat(characteristicPct) > CHARACTERISTIC_TARGET_PCT) {
       feedback = `<p class="feedback-good">✓ Strong modal character! You emphasized the signature tones.</p>`;
     } else if (parseFloat(characteristicPct) < 15) {
-      feedback = `<p class="feedback-warning">⚠ Try emphasizing ${mode.name}'s characteristic tones more (${mode.intervals.filter(i => i.color === 'characteristic').map(i => i.degree).join(', ')}).</p>`;
+      feedback = `<p class="feedback-warning">⚠ Try emphasizing ${escapeHTML(mode.name)}'s characteristic tones more (${escapeHTML(mode.intervals.filter(i => i.color === 'characteristic').map(i => i.degree).join(', '))}).</p>`;
     }
     
     if (parseFloat(avoidPct) > 10) {
       feedback += `<p class="feedback-warning">⚠ You used avoid tones ${avoidPct}% of the time. These can weaken the modal sound.</p>`;
     }
+
+    let rampRow = '';
+    if (this.activeTempoRamp) {
+      const highestTempo = this.getHighestTempoOnTarget();
+      rampRow = `
+      <div class="stat-row">
+        <span class="stat-label">Top tempo on target:</span>
+        <span class="stat-value">${highestTempo ? `${highestTempo} BPM` : 'Not reached'}</span>
+      </div>`;
+    }
     
     const summaryHTML = `
       <h3>Session Summary</h3>
@@ -564,7 +1719,7 @@ class ModalBassTrainer {
       </div>
       <div class="stat-row">
         <span class="stat-label">Most used interval:</span>
-        <span class="stat-value">${intervalInfo ? intervalInfo.degree : maxInterval} (${intervalInfo ? intervalInfo.label : 'interval'})</span>
+        <span class="stat-value">${intervalInfo ? escapeHTML(intervalInfo.degree) : maxInterval} (${intervalInfo ? escapeHTML(intervalInfo.label) : 'interval'})</span>
       </div>
       <div class="stat-row">
         <span class="stat-label">Characteristic tones:</span>
@@ -573,24 +1728,118 @@ class ModalBassTrainer {
       <div class="stat-row">
         <span class="stat-label">Avoid tones:</span>
         <span class="stat-value">${avoidPct}%</span>
-      </div>
+      </div>${rampRow}${this.renderPhraseSummary()}${this.renderEarSummary()}${this.renderTimingSummary()}
       ${feedback}
     `;
     
     this.ui.statsPanel.innerHTML = summaryHTML;
   }
 
+  getHighestTempoOnTarget() {
+    // Highest ramp tempo that kept characteristic tones above target, with enough notes to judge
+    const onTarget = Object.entries(this.session.tempoStats)
+      .filter(([, stats]) => stats.totalNotes >= RAMP_MIN_NOTES &&
+        stats.characteristicToneCount / stats.totalNotes * 100 > CHARACTERISTIC_TARGET_PCT)
+      .map(([tempo]) => parseInt(tempo));
+
+    return onTarget.length > 0 ? Math.max(...onTarget) : null;
+  }
+
   resetSessionStats() {
     this.session = {
       startTime: Date.now(),
       toneDistribution: new Array(12).fill(0),
       totalNotes: 0,
       characteristicToneCount: 0,
-      avoidToneCount: 0
+      avoidToneCount: 0,
+      tempoStats: {}, // tempo -> {totalNotes, characteristicToneCount}
+      timing: [], // {offset, beat} per counted groove note
+      phraseResults: [], // {pitch, order, score, level} per call-and-response reply
+      earResults: [] // {semitones, correct, reactionMs} per ear training answer
     };
+    this.lastPhraseResult = null;
     this.ui.statsPanel.innerHTML = '';
   }
 
+  renderPhraseRows() {
+    if (!this.phraseTrainer) return '';
+
+    const result = this.lastPhraseResult;
+    return `
+      <div class="stat-row">
+        <span class="stat-label">Phrase level:</span>
+        <span class="stat-value">${this.phraseTrainer.levelName}</span>
+      </div>
+      <div class="stat-row">
+        <span class="stat-label">Last reply:</span>
+        <span class="stat-value">${result ? `${result.score}% (pitch ${result.pitch}%, order ${result.order}%)` : '-'}</span>
+      </div>`;
+  }
+
+  renderPhraseSummary() {
+    const results = this.session.phraseResults;
+    if (!this.phraseTrainer || results.length === 0) return '';
+
+    const average = (key) => Math.round(results.reduce((sum, result) => sum + result[key], 0) / results.length);
+    return `
+      <div class="stat-row">
+        <span class="stat-label">Phrases answered:</span>
+        <span class="stat-value">${results.length}, reached ${this.phraseTrainer.levelName}</span>
+      </div>
+      <div class="stat-row">
+        <span class="stat-label">Reply accuracy:</span>
+        <span class="stat-value">${average('score')}% (pitch ${average('pitch')}%, order ${average('order')}%)</span>
+      </div>`;
+  }
+
+  renderEarSummary() {
+    const results = this.session.earResults;
+    if (!this.earTrainer || results.length === 0) return '';
+
+    const correct = results.filter(result => result.correct).length;
+    const degreeRows = this.earTrainer.getDegreeStats()
+      .filter(stats => stats.asked > 0)
+      .map(stats => `
+      <div class="stat-row">
+        <span class="stat-label">${escapeHTML(stats.degree)}:</span>
+        <span class="stat-value">${stats.correct}/${stats.asked} (${Math.round(stats.accuracy)}%)${stats.meanReaction !== null ? `, ${(stats.meanReaction / 1000).toFixed(1)} s` : ''}</span>
+      </div>`).join('');
+
+    return `
+      <div class="stat-row">
+        <span class="stat-label">Ear training:</span>
+        <span class="stat-value">${correct}/${results.length} correct this session</span>
+      </div>
+      <p class="stat-label">All ${escapeHTML(getMode(this.currentMode).name)} sessions, by degree (accuracy, mean reaction time):</p>${degreeRows}`;
+  }
+
+  renderTimingSummary() {
+    // Drone and ear-training sessions have no groove, and so no grid or timing
+    if (!this.hasGroove() || !this.currentGroove || this.session.timing.length === 0) return '';
+
+    // 7/8 has a half beat at the end of the bar
+    const grid = getRhythmicGrid(getGroove(this.currentMode, this.currentGroove));
+    const timing = summarizeTiming(this.session.timing, grid.stepsPerBar / grid.stepsPerBeat);
+    if (!timing) return '';
+
+    const maxCount = Math.max(...timing.beats.flatMap(beat => beat.bins));
+    const header = TIMING_BINS.map(bin => `<span>${bin > 0 ? '+' : ''}${bin}</span>`).join('');
+    const rows = timing.beats.map(beat => `
+        <div class="timing-row">
+          <span class="stat-label">Beat ${beat.beat}</span>
+          ${beat.bins.map(count => `<span class="timing-cell" style="opacity: ${count > 0 ? 0.25 + 0.75 * count / maxCount : 0.08}">${count || ''}</span>`).join('')}
+        </div>`).join('');
+
+    return `
+      <div class="stat-row">
+        <span class="stat-label">Timing:</span>
+        <span class="stat-value">${describeOffset(timing.mean)} on average, spread ±${Math.round(timing.spread)} ms</span>
+      </div>
+      <div class="timing-histogram">
+        <div class="timing-row timing-header"><span>ms</span>${header}</div>${rows}
+      </div>`;
+  }
+
   showModeInfo(mode) {
     const infoPanel = document.getElementById('mode-info-panel');
     if (!infoPanel) return;
@@ -600,25 +1849,56 @@ class ModalBassTrainer {
       .map(int => `${int.degree} (${int.label})`)
       .join(', ');
     
-    const avoidTones = mode.avoidNotes
-      ? mode.avoidNotes.map(avoid => `${avoid.degree} - ${avoid.reason}`).join('<br>')
-      : 'None';
+    const avoidTones = mode.avoidNotes && mode.avoidNotes.length > 0
+      ? mode.avoidNotes.map(avoid => `${avoid.degree} - ${avoid.reason}`)
+      : ['None'];
     
     infoPanel.innerHTML = `
-      <h3>${mode.name} Mode - ${this.currentRoot} Root</h3>
-      <p>${mode.description}</p>
-      <p><strong>Characteristic tones:</strong> ${characteristicTones}</p>
-      <p><strong>Avoid:</strong><br>${avoidTones}</p>
+      <h3></h3>
+      <p class="mode-info-description"></p>
+      <p><strong>Characteristic tones:</strong> <span class="mode-info-characteristic"></span></p>
+      <p class="mode-info-avoid"><strong>Avoid:</strong></p>
     `;
+
+    // Custom modes are user-entered, so their text goes in as text
+    infoPanel.querySelector('h3').textContent = `${mode.name} Mode - ${this.currentRoot} Root`;
+    infoPanel.querySelector('.mode-info-description').textContent = mode.description;
+    infoPanel.querySelector('.mode-info-characteristic').textContent = characteristicTones;
+    const avoidParagraph = infoPanel.querySelector('.mode-info-avoid');
+    avoidTones.forEach(line => {
+      avoidParagraph.appendChild(document.createElement('br'));
+      avoidParagraph.appendChild(document.createTextNode(line));
+    });
   }
 
   disableControls(disabled) {
     this.ui.modeSelect.disabled = disabled;
-    this.ui.rootSelect.disabled = disabled;
+    this.ui.rootSelect.disabled = disabled && this.practiceType !== 'drone';
     this.ui.practiceTypeRadios.forEach(radio => radio.disabled = disabled);
     this.ui.grooveSelect.disabled = disabled;
     this.ui.tempoSlider.disabled = disabled;
+    this.ui.countInSelect.disabled = disabled;
+    this.ui.recordToggle.disabled = disabled || !SessionRecorder.isSupported();
+    this.ui.droneVoiceSelect.disabled = disabled;
+    this.ui.colorPadToggle.disabled = disabled;
+    this.ui.tempoRampSelect.disabled = disabled;
+    this.ui.tempoRampFields.querySelectorAll('input').forEach(input => input.disabled = disabled);
     this.ui.inputDeviceSelect.disabled = disabled;
+    this.ui.latencyCalibrateButton.disabled = disabled;
+    this.ui.tunerButton.disabled = disabled;
+    this.ui.demoPlayButton.disabled = disabled;
+    this.ui.demoNewButton.disabled = disabled;
+    this.ui.demoSeed.disabled = disabled;
+    this.ui.importGroovesInput.disabled = disabled;
+    if (this.modeEditor) {
+      this.modeEditor.setDisabled(disabled);
+    }
+    if (this.grooveEditor) {
+      this.grooveEditor.setDisabled(disabled);
+    }
+    if (this.sessionReplay) {
+      this.sessionReplay.setDisabled(disabled);
+    }
   }
 
   showStatus(message) {
@@ -660,13 +1940,28 @@ class ModalBassTrainer {
     return (octave + 1) * 12 + noteMap[noteName];
   }
 
+  midiToNoteName(midiNote) {
+    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    return noteNames[midiNote % 12] + (Math.floor(midiNote / 12) - 1);
+  }
+
   cleanup() {
     this.stop();
-    this.pitchDetector.cleanup();
+    this.releaseInput();
     this.fretboard.cleanup();
   }
 }
 
+// Custom modes are user-entered; their names, degrees and labels go into the stats templates escaped
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // ===== INITIALIZE APP ON LOAD =====
 
 let app;
@@ -1,95 +1,467 @@
 // audio.js - Drone and groove generation
 
-import { getGroove } from './modal-data.js';
+import { getGroove, getRhythmicGrid } from './modal-data.js';
+import { CLOCK_PPQN } from './midi-output.js';
+import { Mixer, BACKING_CHANNELS } from './mixer.js';
+
+// Drone mode keeps a plain 4/4 quarter-note pulse for the metronome
+const DRONE_PULSE = {stepsPerBeat: 1, stepsPerBar: 4, loopSteps: 4, beatQuarters: 1};
+
+const RAMP_MODES = ['step', 'sawtooth'];
+
+// Drone voices: sustained voices stack oscillator layers per partial, tanpura plucks its strings
+export const DRONE_VOICES = {
+  sine: {
+    name: 'Sine',
+    attack: 1.5,
+    release: 1.5,
+    filter: null,
+    layers: [{type: 'sine', ratio: 1, level: 1}]
+  },
+  organ: {
+    name: 'Organ',
+    attack: 0.2,
+    release: 0.4,
+    filter: null,
+    layers: [
+      {type: 'sine', ratio: 1, level: 0.6},
+      {type: 'sine', ratio: 2, level: 0.3},
+      {type: 'sine', ratio: 3, level: 0.15},
+      {type: 'sine', ratio: 4, level: 0.08}
+    ]
+  },
+  strings: {
+    name: 'String Pad',
+    attack: 3,
+    release: 3,
+    filter: 1200,
+    layers: [
+      {type: 'sawtooth', ratio: 1, level: 0.3, detune: -7},
+      {type: 'sawtooth', ratio: 1, level: 0.3, detune: 7}
+    ]
+  },
+  tanpura: {
+    name: 'Tanpura',
+    attack: 0.05,
+    release: 2.5,
+    plucked: true
+  }
+};
+
+export const DRONE_PARTIALS = ['root', 'fifth', 'octave', 'sub'];
+
+// Pa, Sa, Sa, low Sa: the classic tanpura string cycle
+const TANPURA_CYCLE = [['fifth'], ['octave'], ['octave'], ['root', 'sub']];
+const TANPURA_PLUCK_GAP = 0.7; // seconds between strings
+const TANPURA_DECAY = 3.5;
+
+// Colour pad: slow glide between the mode's voicings, an octave above the drone root
+const PAD_CHANGE_SECONDS = 8;
+const PAD_GLIDE = 1.5; // time constant for voice movement
+const PAD_OFFSET = 12;
+
+// Groove steps kept for aligning played notes to the grid
+const STEP_HISTORY = 32;
+
+// Call-and-response phrases sit above the chords
+const PHRASE_VOLUME = 0.3;
+
+// Ear training tone sounded over the drone
+const EAR_TONE_DURATION = 1.5;
+const EAR_TONE_VOLUME = 0.35;
+
+// Latency calibration pulse: a bass-range note a loopback cable can be detected from
+const CALIBRATION_NOTE = 45; // A2
 
 export class ModalAudioEngine {
   constructor() {
     this.audioContext = null;
     this.masterGain = null;
+    this.mixer = null;
+    this.monitorSource = null; // Bass input node heard through the bass monitor strip
     this.oscillators = [];
+    this.droneVoice = 'sine';
+    this.droneLevels = {root: 0.4, fifth: 0.2, octave: 0, sub: 0.15};
+    this.droneBus = null;
+    this.dronePartials = {};
+    this.droneRelease = 0;
+    this.droneTimerID = null;
+    this.includeFifth = true;
+    this.padVoicings = null;
+    this.padLevel = 0;
+    this.padGain = null;
+    this.padTimerID = null;
     this.scheduledNotes = [];
     this.isPlaying = false;
-    this.currentBeat = 0;
+    this.currentStep = 0;
     this.tempo = 90;
     this.lookahead = 25.0; // ms
     this.scheduleAheadTime = 0.1; // seconds
     this.nextNoteTime = 0.0;
     this.timerID = null;
+    this.drumsEnabled = true;
+    this.noiseBuffer = null;
+    this.metronomeEnabled = false;
+    this.countInSteps = 0;
+    this.countInStepsRemaining = 0;
+    this.tempoRamp = null;
+    this.onTempoChange = null;
+    this.loopCount = 0;
+    this.midiOutput = null;
+    this.internalMuted = false;
+    this.midiStarted = false;
+    this.stepTimeline = []; // Recent groove steps: {time, stepNumber, beat}
+    this.grooveStep = 0; // Steps since the groove entered, for bar counting
+    this.phraseProvider = null;
+    this.onPhraseBar = null;
+    this.phrase = null; // Phrase of the current call-and-response pair
+    this.onBassNote = null; // (note) as each demo bass line note sounds
   }
 
-  async init() {
-    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  async init(context = null) {
+    // An OfflineAudioContext can be passed in to render instead of play
+    this.audioContext = context || new (window.AudioContext || window.webkitAudioContext)();
     this.masterGain = this.audioContext.createGain();
     this.masterGain.gain.value = 0.3;
     this.masterGain.connect(this.audioContext.destination);
+
+    // Channel strips sit before the master volume
+    this.mixer = new Mixer(this.audioContext, this.masterGain);
+
+    // Drum kit bus, on the chords strip with the rest of the groove
+    this.drumGain = this.audioContext.createGain();
+    this.drumGain.gain.value = 0.8;
+    this.drumGain.connect(this.mixer.getInput('chords'));
+    this.noiseBuffer = this.createNoiseBuffer();
+
+    // Metronome click has its own level
+    this.clickGain = this.audioContext.createGain();
+    this.clickGain.gain.value = 0.6;
+    this.clickGain.connect(this.mixer.getInput('click'));
   }
 
   // ===== DRONE MODE =====
   
-  startDrone(rootPitch, includeFifth = true) {
+  startDrone(rootPitch, includeFifth = true, countInBars = 0) {
     this.stopAll();
     this.isPlaying = true;
     
-    const rootFreq = this.midiToFreq(rootPitch);
-    const fifthFreq = this.midiToFreq(rootPitch + 7);
+    // The pulse keeps running for the metronome; the drone enters after the count-in
+    const countInDuration = this.startClock(countInBars);
+    const startTime = this.audioContext.currentTime + countInDuration;
+    const voice = DRONE_VOICES[this.droneVoice];
+    
+    this.droneRoot = rootPitch;
+    this.droneFrequencies = this.getDroneFrequencies(rootPitch);
+    this.includeFifth = includeFifth;
+    this.droneRelease = voice.release;
+    
+    // Shared bus carries the fade-in and fade-out
+    this.droneBus = this.audioContext.createGain();
+    this.droneBus.gain.setValueAtTime(0, startTime);
+    this.droneBus.gain.linearRampToValueAtTime(1, startTime + voice.attack);
+    this.droneBus.connect(this.mixer.getInput('drone'));
+    
+    if (voice.plucked) {
+      this.nextPluckTime = startTime;
+      this.pluckIndex = 0;
+      this.scheduleTanpura();
+    } else {
+      // Every partial is built so levels can come up from zero while playing
+      DRONE_PARTIALS.forEach(partial => {
+        this.dronePartials[partial] = this.createDronePartial(voice, partial, this.getDroneLevel(partial), startTime);
+      });
+    }
+    
+    if (this.padVoicings) {
+      this.startColorPad(startTime);
+    }
     
-    // Root oscillator - warm sine wave
-    const rootOsc = this.createOscillator(rootFreq, 'sine', 0.4);
+    return countInDuration;
+  }
+
+  getDroneFrequencies(rootPitch) {
+    return {
+      root: this.midiToFreq(rootPitch),
+      fifth: this.midiToFreq(rootPitch + 7),
+      octave: this.midiToFreq(rootPitch + 12),
+      sub: this.midiToFreq(rootPitch - 12)
+    };
+  }
+
+  updateDroneRoot(rootPitch) {
+    // Glide the running drone and colour pad to a new root
+    if (!this.droneBus) return;
+    
+    const now = this.audioContext.currentTime;
+    this.droneRoot = rootPitch;
+    this.droneFrequencies = this.getDroneFrequencies(rootPitch);
+    
+    this.oscillators.forEach(({osc, partial, ratio}) => {
+      if (partial) {
+        osc.frequency.setTargetAtTime(this.droneFrequencies[partial] * ratio, now, 0.1);
+      }
+    });
+    this.movePad(now, 0.1);
+  }
 
-    if (includeFifth) {
-      // Fifth oscillator - softer
-      const fifthOsc = this.createOscillator(fifthFreq, 'sine', 0.2);
+  createDronePartial(voice, partial, level, startTime) {
+    const frequency = this.droneFrequencies[partial];
+    
+    // One gain per partial so its level can change while the drone plays
+    const partialGain = this.audioContext.createGain();
+    partialGain.gain.value = level;
+    partialGain.connect(this.droneBus);
+    
+    let destination = partialGain;
+    if (voice.filter) {
+      const filter = this.audioContext.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = voice.filter;
+      filter.connect(partialGain);
+      destination = filter;
     }
     
-    // Add subtle sub-octave for bass richness
-    const subOsc = this.createOscillator(rootFreq / 2, 'sine', 0.15);
+    voice.layers.forEach(layer => {
+      const osc = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      
+      osc.type = layer.type;
+      osc.frequency.value = frequency * layer.ratio;
+      osc.detune.value = layer.detune || 0;
+      gain.gain.value = layer.level;
+      
+      osc.connect(gain);
+      gain.connect(destination);
+      osc.start(startTime);
+      this.oscillators.push({osc, gain, partial, ratio: layer.ratio});
+    });
+    
+    return partialGain;
   }
 
-  createOscillator(frequency, type, volume) {
+  // ===== COLOUR PAD =====
+
+  startColorPad(startTime) {
+    this.padGain = this.audioContext.createGain();
+    this.padGain.gain.value = this.padLevel;
+    
+    const filter = this.audioContext.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 1400;
+    filter.connect(this.padGain);
+    this.padGain.connect(this.droneBus);
+    
+    // One voice per note of the largest voicing; each is a detuned pair
+    this.padVoicingIndex = 0;
+    const voiceCount = Math.max(...this.padVoicings.map(voicing => voicing.length));
+    const voicing = this.getPadVoicing(0, voiceCount);
+    
+    for (let voice = 0; voice < voiceCount; voice++) {
+      [-5, 5].forEach(detune => {
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+        
+        osc.type = 'triangle';
+        osc.frequency.value = this.midiToFreq(this.droneRoot + PAD_OFFSET + voicing[voice]);
+        osc.detune.value = detune;
+        gain.gain.value = 0.5 / voiceCount;
+        
+        osc.connect(gain);
+        gain.connect(filter);
+        osc.start(startTime);
+        this.oscillators.push({osc, gain, padVoice: voice});
+      });
+    }
+    
+    this.padVoiceCount = voiceCount;
+    this.nextPadChangeTime = startTime + PAD_CHANGE_SECONDS;
+    this.schedulePadMovement();
+  }
+
+  getPadVoicing(index, voiceCount) {
+    // Shorter voicings double their top note so every voice has somewhere to go
+    const voicing = this.padVoicings[index % this.padVoicings.length];
+    return Array.from({length: voiceCount}, (_, i) => voicing[Math.min(i, voicing.length - 1)]);
+  }
+
+  schedulePadMovement() {
+    const horizon = this.audioContext.currentTime + Math.max(1, this.scheduleAheadTime);
+    while (this.padVoicings.length > 1 && this.nextPadChangeTime < horizon) {
+      this.padVoicingIndex++;
+      this.movePad(this.nextPadChangeTime, PAD_GLIDE);
+      this.nextPadChangeTime += PAD_CHANGE_SECONDS;
+    }
+    
+    this.padTimerID = setTimeout(() => this.schedulePadMovement(), 500);
+  }
+
+  movePad(time, glide) {
+    if (!this.padGain) return;
+    
+    const voicing = this.getPadVoicing(this.padVoicingIndex, this.padVoiceCount);
+    this.oscillators.forEach(({osc, padVoice}) => {
+      if (padVoice !== undefined) {
+        osc.frequency.setTargetAtTime(this.midiToFreq(this.droneRoot + PAD_OFFSET + voicing[padVoice]), time, glide);
+      }
+    });
+  }
+
+  setColorPad(voicings) {
+    // voicings: semitone lists from getColorVoicings(), or null for no pad. Takes effect on the next startDrone()
+    this.padVoicings = voicings && voicings.length > 0 ? voicings : null;
+  }
+
+  setColorPadLevel(level) {
+    this.padLevel = level;
+    if (this.padGain) {
+      this.padGain.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.05);
+    }
+  }
+
+  scheduleTanpura() {
+    // Same lookahead approach as the groove scheduler
+    while (this.nextPluckTime < this.audioContext.currentTime + this.scheduleAheadTime) {
+      TANPURA_CYCLE[this.pluckIndex % TANPURA_CYCLE.length].forEach(partial => {
+        this.playPluck(this.droneFrequencies[partial], this.getDroneLevel(partial), this.nextPluckTime);
+      });
+      this.pluckIndex++;
+      this.nextPluckTime += TANPURA_PLUCK_GAP;
+    }
+    
+    this.droneTimerID = setTimeout(() => this.scheduleTanpura(), this.lookahead);
+  }
+
+  playPluck(frequency, level, time) {
+    if (level <= 0) return;
+    
     const osc = this.audioContext.createOscillator();
+    const filter = this.audioContext.createBiquadFilter();
     const gain = this.audioContext.createGain();
     
-    osc.type = type;
+    // Bright attack that mellows as the string rings
+    osc.type = 'sawtooth';
     osc.frequency.value = frequency;
     
-    gain.gain.value = volume;
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(3000, time);
+    filter.frequency.exponentialRampToValueAtTime(600, time + 1.5);
     
-    osc.connect(gain);
-    gain.connect(this.masterGain);
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(level, time + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + TANPURA_DECAY);
     
-    osc.start();
-    this.oscillators.push({osc, gain});
+    osc.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.droneBus);
+    osc.start(time);
+    osc.stop(time + TANPURA_DECAY);
     
-    return osc;
+    this.trackScheduled(osc, gain, time + TANPURA_DECAY);
+  }
+
+  getDroneLevel(partial) {
+    return partial === 'fifth' && !this.includeFifth ? 0 : this.droneLevels[partial];
+  }
+
+  setDroneVoice(voiceId) {
+    // Takes effect on the next startDrone()
+    if (DRONE_VOICES[voiceId]) {
+      this.droneVoice = voiceId;
+    }
+  }
+
+  setDroneLevel(partial, level) {
+    this.droneLevels[partial] = level;
+    this.applyDroneLevel(partial);
+  }
+
+  setIncludeFifth(includeFifth) {
+    this.includeFifth = includeFifth;
+    this.applyDroneLevel('fifth');
+  }
+
+  applyDroneLevel(partial) {
+    // Sustained voices follow live; tanpura picks it up on the next pluck
+    const partialGain = this.dronePartials[partial];
+    if (partialGain) {
+      partialGain.gain.setTargetAtTime(this.getDroneLevel(partial), this.audioContext.currentTime, 0.05);
+    }
   }
 
   // ===== GROOVE MODE =====
   
-  startGroove(rootPitch, grooveData, tempo) {
+  startGroove(rootPitch, grooveData, tempo, countInBars = 0) {
     this.stopAll();
     this.tempo = tempo;
     this.isPlaying = true;
-    this.currentBeat = 0;
-    this.nextNoteTime = this.audioContext.currentTime;
     
     this.grooveData = this.prepareGrooveData(rootPitch, grooveData);
     
+    return this.startClock(countInBars);
+  }
+
+  startClock(countInBars) {
+    // Start the scheduler on the current grid; returns the count-in length in seconds
+    const grid = this.getTimingGrid();
+    this.currentStep = 0;
+    this.loopCount = 0;
+    this.grooveStep = 0;
+    this.stepTimeline = [];
+    this.countInSteps = Math.round(countInBars * grid.stepsPerBar);
+    this.countInStepsRemaining = this.countInSteps;
+    this.nextNoteTime = this.audioContext.currentTime;
+    
+    const countInDuration = this.countInSteps * this.getStepDuration();
+    
     // Start scheduler
     this.scheduler();
+    
+    return countInDuration;
+  }
+
+  updateGroove(rootPitch, grooveData) {
+    // Swap the groove definition without restarting the scheduler (live editing)
+    if (!this.isPlaying || !this.grooveData) return;
+    
+    this.grooveData = this.prepareGrooveData(rootPitch, grooveData);
+    
+    if (this.currentStep >= this.grooveData.loopSteps) {
+      this.currentStep = 0;
+    }
   }
 
   prepareGrooveData(rootPitch, grooveData) {
-    // Convert groove definition to playable data
-    const prepared = {
-      chords: grooveData.chords.map(chord => ({
+    // Convert groove definition to playable data on the step grid
+    const grid = getRhythmicGrid(grooveData);
+    
+    let startStep = 0;
+    const chords = grooveData.chords.map(chord => {
+      const steps = Math.round(chord.duration * grid.stepsPerBeat);
+      const prepared = {
         frequencies: chord.voicing.map(semitone => 
           this.midiToFreq(rootPitch + semitone)
         ),
-        duration: chord.duration
-      })),
+        notes: chord.voicing.map(semitone => rootPitch + semitone),
+        startStep: startStep,
+        steps: steps
+      };
+      startStep += steps;
+      return prepared;
+    });
+    
+    const prepared = {
+      chords: chords,
+      chordSteps: startStep,
       pattern: grooveData.pattern,
-      swing: grooveData.swing,
-      beatsPerMeasure: grooveData.pattern.length
+      drums: grooveData.drums || null,
+      bassLine: grooveData.bassLine || null, // Demo line from generateBassLine()
+      swing: grooveData.swing && grid.canSwing,
+      stepsPerBeat: grid.stepsPerBeat,
+      stepsPerBar: grid.stepsPerBar,
+      beatQuarters: grid.beatQuarters,
+      // Pattern and progression repeat until both line up again
+      loopSteps: Math.max(grooveData.pattern.length, startStep)
     };
     
     return prepared;
@@ -98,7 +470,7 @@ export class ModalAudioEngine {
   scheduler() {
     // Schedule notes slightly ahead for tight timing
     while (this.nextNoteTime < this.audioContext.currentTime + this.scheduleAheadTime) {
-      this.scheduleNote(this.currentBeat, this.nextNoteTime);
+      this.scheduleNote(this.currentStep, this.nextNoteTime);
       this.nextNote();
     }
     
@@ -107,32 +479,108 @@ export class ModalAudioEngine {
     }
   }
 
-  scheduleNote(beatNumber, time) {
+  scheduleNote(stepNumber, time) {
+    // Count-in bars only click; the groove enters once they are over
+    if (this.countInStepsRemaining > 0) {
+      this.scheduleMidiClock(time);
+      this.scheduleClick(this.countInSteps - this.countInStepsRemaining, time);
+      return;
+    }
+    
+    // External gear starts with the groove's first step
+    if (this.midiOutput && !this.midiStarted) {
+      this.midiOutput.sendStart(time);
+      this.midiStarted = true;
+    }
+    this.scheduleMidiClock(time);
+    
+    if (this.metronomeEnabled) {
+      this.scheduleClick(stepNumber, time);
+    }
+    
+    // Drone mode only runs the clock for the metronome
+    if (!this.grooveData) return;
+    
     const pattern = this.grooveData.pattern;
-    const patternIndex = beatNumber % pattern.length;
+    const patternIndex = stepNumber % pattern.length;
+    
+    // Apply swing if needed: off-beat steps move to the last triplet
+    let swingOffset = 0;
+    if (this.grooveData.swing && stepNumber % 2 === 1) {
+      swingOffset = this.getStepDuration() / 3;
+    }
+    
+    this.recordStep(stepNumber, time + swingOffset);
+    
+    if (this.phraseProvider) {
+      this.schedulePhraseBar(time);
+    }
     
-    // Check if this beat should play
+    // Check if this step should play
     if (pattern[patternIndex] === 1) {
       // Determine which chord to play
-      const chordIndex = this.getChordForBeat(beatNumber);
+      const chordIndex = this.getChordForStep(stepNumber);
       const chord = this.grooveData.chords[chordIndex];
       
-      // Apply swing if needed
-      let swingOffset = 0;
-      if (this.grooveData.swing && beatNumber % 2 === 1) {
-        swingOffset = (60.0 / this.tempo) * 0.15; // Swing feel
-      }
+      // Ring until the next hit or chord change, never longer than before
+      const gap = this.getStepsUntilNextHit(stepNumber) * this.getStepDuration();
+      const duration = Math.min(0.5, gap * 0.9 - swingOffset);
       
-      this.playChord(chord.frequencies, time + swingOffset, 0.5);
+      if (!this.isInternalMuted()) {
+        this.playChord(chord.frequencies, time + swingOffset, duration);
+      }
+      if (this.midiOutput) {
+        this.midiOutput.playChord(chord.notes, time + swingOffset, duration);
+      }
+    }
+    
+    // Demo bass line loops with the groove
+    if (this.grooveData.bassLine) {
+      this.scheduleBassNote(time + swingOffset);
+    }
+    
+    // Drum lanes share the pattern grid
+    if (this.drumsEnabled && this.grooveData.drums && !this.isInternalMuted()) {
+      Object.entries(this.grooveData.drums).forEach(([lane, steps]) => {
+        if (steps[patternIndex] === 1) {
+          this.playDrum(lane, time + swingOffset);
+        }
+      });
     }
   }
 
-  getChordForBeat(beatNumber) {
+  // ===== BEAT TIMELINE =====
+
+  recordStep(stepNumber, time) {
+    // Beat within the bar, for per-beat timing
+    const stepInBar = stepNumber % this.grooveData.stepsPerBar;
+    this.stepTimeline.push({
+      time,
+      stepNumber,
+      beat: Math.floor(stepInBar / this.grooveData.stepsPerBeat)
+    });
+    if (this.stepTimeline.length > STEP_HISTORY) {
+      this.stepTimeline.shift();
+    }
+  }
+
+  getNearestStep(time) {
+    // Closest groove step to an AudioContext time (swung steps where they are played)
+    let nearest = null;
+    this.stepTimeline.forEach(step => {
+      if (!nearest || Math.abs(step.time - time) < Math.abs(nearest.time - time)) {
+        nearest = step;
+      }
+    });
+    return nearest;
+  }
+
+  getChordForStep(stepNumber) {
     // Calculate which chord based on duration
-    let totalBeats = 0;
+    const chordStep = stepNumber % this.grooveData.chordSteps;
     for (let i = 0; i < this.grooveData.chords.length; i++) {
-      totalBeats += this.grooveData.chords[i].duration;
-      if (beatNumber < totalBeats) {
+      const chord = this.grooveData.chords[i];
+      if (chordStep < chord.startStep + chord.steps) {
         return i;
       }
     }
@@ -140,13 +588,35 @@ export class ModalAudioEngine {
     return 0;
   }
 
+  getStepsUntilNextHit(stepNumber) {
+    const { pattern, loopSteps } = this.grooveData;
+    const chordIndex = this.getChordForStep(stepNumber);
+    
+    for (let gap = 1; gap < loopSteps; gap++) {
+      const step = (stepNumber + gap) % loopSteps;
+      if (pattern[step % pattern.length] === 1 || this.getChordForStep(step) !== chordIndex) {
+        return gap;
+      }
+    }
+    return loopSteps;
+  }
+
+  getStepDuration() {
+    // Tempo counts the meter's beat; each beat holds stepsPerBeat steps
+    return 60.0 / this.tempo / this.getTimingGrid().stepsPerBeat;
+  }
+
+  getTimingGrid() {
+    return this.grooveData || DRONE_PULSE;
+  }
+
   playChord(frequencies, time, duration) {
     frequencies.forEach((freq, index) => {
       this.playNote(freq, time, duration, 0.15 / frequencies.length);
     });
   }
 
-  playNote(frequency, time, duration, volume) {
+  playNote(frequency, time, duration, volume, destination = this.mixer.getInput('chords')) {
     const osc = this.audioContext.createOscillator();
     const gain = this.audioContext.createGain();
     const filter = this.audioContext.createBiquadFilter();
@@ -169,7 +639,7 @@ export class ModalAudioEngine {
     
     osc.connect(filter);
     filter.connect(gain);
-    gain.connect(this.masterGain);
+    gain.connect(destination);
     
     osc.start(time);
     osc.stop(time + duration);
@@ -184,19 +654,323 @@ export class ModalAudioEngine {
     }, (duration + 0.1) * 1000);
   }
 
+  // ===== CALL AND RESPONSE =====
+
+  setPhraseSource(phraseProvider, onPhraseBar = null) {
+    // phraseProvider(grid) returns {notes: [{midi, step, steps}]} for each call bar, or null to turn off.
+    // onPhraseBar(type, phrase, startTime, endTime) fires as each 'call' or 'response' bar starts.
+    this.phraseProvider = phraseProvider;
+    this.onPhraseBar = onPhraseBar;
+  }
+
+  schedulePhraseBar(time) {
+    // Bars alternate: the engine plays a phrase, then leaves a bar for the reply
+    const { stepsPerBar } = this.grooveData;
+    if (this.grooveStep % stepsPerBar !== 0) return;
+
+    const isCall = Math.floor(this.grooveStep / stepsPerBar) % 2 === 0;
+    const stepDuration = this.getStepDuration();
+    const endTime = time + stepsPerBar * stepDuration;
+
+    if (isCall) {
+      this.phrase = this.phraseProvider(this.grooveData);
+      this.phrase.notes.forEach(note => {
+        const noteTime = time + note.step * stepDuration;
+        const duration = note.steps * stepDuration * 0.9;
+        if (!this.isInternalMuted()) {
+          this.playNote(this.midiToFreq(note.midi), noteTime, duration, PHRASE_VOLUME);
+        }
+        if (this.midiOutput) {
+          this.midiOutput.playChord([note.midi], noteTime, duration);
+        }
+      });
+    }
+
+    if (this.onPhraseBar) {
+      const phrase = this.phrase;
+      const delay = Math.max(0, time - this.audioContext.currentTime) * 1000;
+      setTimeout(() => this.onPhraseBar(isCall ? 'call' : 'response', phrase, time, endTime), delay);
+    }
+  }
+
+  // ===== DEMO BASS LINE =====
+
+  scheduleBassNote(time) {
+    // The line spans several groove loops, so follow the steps since the groove entered
+    const line = this.grooveData.bassLine;
+    const note = line.notes.find(n => n.step === this.grooveStep % line.loopSteps);
+    if (!note) return;
+
+    const duration = Math.min(1.0, note.steps * this.getStepDuration() * 0.9);
+    if (!this.isInternalMuted()) {
+      this.playBassNote(this.midiToFreq(note.midi), time, duration);
+    }
+    if (this.midiOutput) {
+      this.midiOutput.playChord([note.midi], time, duration);
+    }
+
+    if (this.onBassNote) {
+      const delay = Math.max(0, time - this.audioContext.currentTime) * 1000;
+      setTimeout(() => this.onBassNote(note), delay);
+    }
+  }
+
+  playBassNote(frequency, time, duration) {
+    const osc = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+    const filter = this.audioContext.createBiquadFilter();
+    
+    // Rounded electric bass: sawtooth under a low filter that closes as the note decays
+    osc.type = 'sawtooth';
+    osc.frequency.value = frequency;
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(900, time);
+    filter.frequency.exponentialRampToValueAtTime(300, time + duration);
+    
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(0.35, time + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.15, time + duration * 0.6);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+    
+    osc.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.mixer.getInput('chords'));
+    osc.start(time);
+    osc.stop(time + duration);
+    
+    this.trackScheduled(osc, gain, time + duration);
+  }
+
+  // ===== EAR TRAINING =====
+
+  playEarTone(midiNote) {
+    // Target degree over the drone, just after now
+    this.playNote(this.midiToFreq(midiNote), this.audioContext.currentTime + 0.05, EAR_TONE_DURATION, EAR_TONE_VOLUME);
+  }
+
+  // ===== CALIBRATION =====
+
+  playCalibrationPulse(time, destination = this.masterGain) {
+    // Note for loopback detection, click on top to pluck along to.
+    // Both skip the mixer so a muted strip can't spoil the measurement.
+    this.playNote(this.midiToFreq(CALIBRATION_NOTE), time, 0.25, 0.5, destination);
+    this.playClick(time, true, destination);
+  }
+
+  // ===== MIDI OUTPUT =====
+
+  setMidiOutput(midiOutput) {
+    this.midiOutput = midiOutput;
+    if (midiOutput) {
+      midiOutput.audioContext = this.audioContext;
+    }
+  }
+
+  setInternalMuted(muted) {
+    // Only takes effect while a MIDI port is selected
+    this.internalMuted = muted;
+  }
+
+  isInternalMuted() {
+    return this.internalMuted && this.midiOutput !== null && this.midiOutput.isActive;
+  }
+
+  scheduleMidiClock(time) {
+    if (!this.midiOutput) return;
+
+    const grid = this.getTimingGrid();
+    const pulses = Math.round(CLOCK_PPQN * grid.beatQuarters / grid.stepsPerBeat);
+    this.midiOutput.sendClockPulses(time, this.getStepDuration(), pulses);
+  }
+
+  // ===== METRONOME =====
+  
+  scheduleClick(stepNumber, time) {
+    const grid = this.getTimingGrid();
+    const beat = stepNumber / grid.stepsPerBeat;
+    
+    // Click on beats only; 12/8 clicks dotted quarters, 7/8 clicks its quarters
+    if (Math.abs(beat - Math.round(beat)) > 1e-9) return;
+    
+    this.playClick(time, stepNumber % grid.stepsPerBar === 0);
+  }
+
+  playClick(time, accent, destination = this.clickGain) {
+    const osc = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+    
+    // Higher, louder blip on the downbeat
+    osc.type = 'square';
+    osc.frequency.value = accent ? 1600 : 1000;
+    
+    gain.gain.setValueAtTime(accent ? 0.5 : 0.3, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.04);
+    
+    osc.connect(gain);
+    gain.connect(destination);
+    osc.start(time);
+    osc.stop(time + 0.04);
+    
+    this.trackScheduled(osc, gain, time + 0.04);
+  }
+
+  setMetronomeEnabled(enabled) {
+    this.metronomeEnabled = enabled;
+  }
+
+  setClickVolume(volume) {
+    // volume: 0.0 to 1.0
+    this.clickGain.gain.setValueAtTime(volume, this.audioContext.currentTime);
+  }
+
+  // ===== DRUM KIT =====
+  
+  playDrum(lane, time) {
+    switch (lane) {
+      case 'kick':
+        this.playKick(time);
+        break;
+      case 'snare':
+        this.playSnare(time);
+        break;
+      case 'hihat':
+        this.playNoiseHit(time, 7000, 0.05, 0.25);
+        break;
+      case 'ride':
+        this.playNoiseHit(time, 5000, 0.35, 0.12);
+        break;
+    }
+  }
+
+  playKick(time) {
+    // Pitched sine sweeping down from the beater click to the shell
+    const osc = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+    
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(150, time);
+    osc.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+    
+    gain.gain.setValueAtTime(0.9, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.3);
+    
+    osc.connect(gain);
+    gain.connect(this.drumGain);
+    osc.start(time);
+    osc.stop(time + 0.3);
+    
+    this.trackScheduled(osc, gain, time + 0.3);
+  }
+
+  playSnare(time) {
+    // Noise burst for the wires plus a short sine for the drum body
+    this.playNoiseHit(time, 1500, 0.15, 0.4);
+    
+    const body = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+    
+    body.type = 'sine';
+    body.frequency.setValueAtTime(190, time);
+    
+    gain.gain.setValueAtTime(0.3, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.08);
+    
+    body.connect(gain);
+    gain.connect(this.drumGain);
+    body.start(time);
+    body.stop(time + 0.08);
+    
+    this.trackScheduled(body, gain, time + 0.08);
+  }
+
+  playNoiseHit(time, highpassFreq, decay, volume) {
+    const source = this.audioContext.createBufferSource();
+    const filter = this.audioContext.createBiquadFilter();
+    const gain = this.audioContext.createGain();
+    
+    source.buffer = this.noiseBuffer;
+    
+    filter.type = 'highpass';
+    filter.frequency.value = highpassFreq;
+    
+    gain.gain.setValueAtTime(volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + decay);
+    
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.drumGain);
+    source.start(time);
+    source.stop(time + decay);
+    
+    this.trackScheduled(source, gain, time + decay);
+  }
+
+  createNoiseBuffer() {
+    // One second of white noise, reused by every noise-based drum hit
+    const length = this.audioContext.sampleRate;
+    const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  trackScheduled(osc, gain, stopTime) {
+    // Track for cleanup
+    this.scheduledNotes.push({osc, gain, stopTime});
+    
+    // Auto-cleanup
+    setTimeout(() => {
+      const index = this.scheduledNotes.findIndex(n => n.osc === osc);
+      if (index > -1) this.scheduledNotes.splice(index, 1);
+    }, (stopTime - this.audioContext.currentTime + 0.1) * 1000);
+  }
+
+  setDrumsEnabled(enabled) {
+    this.drumsEnabled = enabled;
+  }
+
   nextNote() {
-    // Calculate next beat time
-    const secondsPerBeat = 60.0 / this.tempo;
-    this.nextNoteTime += secondsPerBeat;
+    // Calculate next step time
+    this.nextNoteTime += this.getStepDuration();
+    
+    // The groove stays on its first step until the count-in is over
+    if (this.countInStepsRemaining > 0) {
+      this.countInStepsRemaining--;
+      return;
+    }
     
-    this.currentBeat++;
+    this.currentStep++;
+    this.grooveStep++;
     
     // Loop pattern
-    const totalBeats = this.grooveData.chords.reduce((sum, chord) => 
-      sum + chord.duration, 0
-    );
-    if (this.currentBeat >= totalBeats) {
-      this.currentBeat = 0;
+    if (this.currentStep >= this.getTimingGrid().loopSteps) {
+      this.currentStep = 0;
+      this.onLoopComplete();
+    }
+  }
+
+  // ===== TEMPO RAMP =====
+
+  setTempoRamp(ramp, onTempoChange = null) {
+    // ramp: {mode: 'step' | 'sawtooth', startTempo, increment, everyLoops, ceiling} or null
+    this.tempoRamp = ramp;
+    this.onTempoChange = onTempoChange;
+  }
+
+  onLoopComplete() {
+    if (!this.tempoRamp || !this.grooveData) return;
+    
+    this.loopCount++;
+    const tempo = getRampTempo(this.tempoRamp, this.loopCount);
+    if (tempo === this.tempo) return;
+    
+    // nextNoteTime is the start of the new loop, so the change lands on the boundary
+    this.tempo = tempo;
+    if (this.onTempoChange) {
+      const delay = Math.max(0, this.nextNoteTime - this.audioContext.currentTime) * 1000;
+      setTimeout(() => this.onTempoChange(tempo), delay);
     }
   }
 
@@ -211,34 +985,116 @@ export class ModalAudioEngine {
     this.tempo = newTempo;
   }
 
+  getOutputStream() {
+    // Tap of the backing strips at the master level, for session recording.
+    // The bass monitor is left out; the bass is recorded from its own input.
+    if (!this.streamDestination) {
+      this.streamDestination = this.audioContext.createMediaStreamDestination();
+      this.recordGain = this.audioContext.createGain();
+      this.recordGain.gain.value = this.masterGain.gain.value;
+      BACKING_CHANNELS.forEach(channel => this.mixer.getOutput(channel).connect(this.recordGain));
+      this.recordGain.connect(this.streamDestination);
+    }
+    return this.streamDestination.stream;
+  }
+
+  // ===== MIXER =====
+
+  setMonitorSource(source) {
+    // source: an input node on this engine's context, or null for none (e.g. MIDI input)
+    if (this.monitorSource) {
+      this.monitorSource.disconnect(this.mixer.getInput('bass'));
+    }
+    this.monitorSource = source;
+    if (source) {
+      source.connect(this.mixer.getInput('bass'));
+    }
+  }
+
+  getSettings() {
+    // Sound settings that a second engine (e.g. offline rendering) needs to sound the same
+    return {
+      drumsEnabled: this.drumsEnabled,
+      metronomeEnabled: this.metronomeEnabled,
+      clickVolume: this.clickGain.gain.value,
+      droneVoice: this.droneVoice,
+      droneLevels: {...this.droneLevels},
+      includeFifth: this.includeFifth,
+      padVoicings: this.padVoicings,
+      padLevel: this.padLevel,
+      mixer: this.mixer.getSettings()
+    };
+  }
+
+  applySettings(settings) {
+    this.setDrumsEnabled(settings.drumsEnabled);
+    this.setMetronomeEnabled(settings.metronomeEnabled);
+    this.setClickVolume(settings.clickVolume);
+    this.setDroneVoice(settings.droneVoice);
+    Object.entries(settings.droneLevels).forEach(([partial, level]) => this.setDroneLevel(partial, level));
+    this.setIncludeFifth(settings.includeFifth);
+    this.setColorPad(settings.padVoicings);
+    this.setColorPadLevel(settings.padLevel);
+    this.mixer.applySettings(settings.mixer);
+  }
+
   setVolume(volume) {
-    // volume: 0.0 to 1.0
+    // volume: 0.0 to 1.0, after the mixer strips
     this.masterGain.gain.setValueAtTime(
       volume * 0.3, 
       this.audioContext.currentTime
     );
+    if (this.recordGain) {
+      this.recordGain.gain.setValueAtTime(volume * 0.3, this.audioContext.currentTime);
+    }
   }
 
   stopAll() {
     this.isPlaying = false;
+    this.grooveData = null;
+    this.countInStepsRemaining = 0;
+    this.stepTimeline = [];
+    
+    this.stopTimers();
+    this.releaseDrone(this.audioContext.currentTime);
     
-    // Clear scheduler
-    if (this.timerID) {
-      clearTimeout(this.timerID);
-      this.timerID = null;
+    // Silence external gear
+    if (this.midiOutput) {
+      this.midiOutput.allNotesOff();
+      if (this.midiStarted) {
+        this.midiOutput.sendStop();
+      }
     }
+    this.midiStarted = false;
     
-    // Stop all drone oscillators
-    this.oscillators.forEach(({osc, gain}) => {
-      gain.gain.exponentialRampToValueAtTime(
-        0.01, 
-        this.audioContext.currentTime + 0.05
-      );
-      osc.stop(this.audioContext.currentTime + 0.1);
+    // Scheduled notes will auto-cleanup
+  }
+
+  stopTimers() {
+    // Clear scheduler and the drone's own lookahead loops
+    [this.timerID, this.droneTimerID, this.padTimerID].forEach(id => {
+      if (id) clearTimeout(id);
     });
+    this.timerID = null;
+    this.droneTimerID = null;
+    this.padTimerID = null;
+  }
+
+  releaseDrone(time) {
+    // Fade the drone out over its voice's release, then stop its oscillators
+    if (this.droneBus) {
+      const gain = this.droneBus.gain;
+      gain.cancelScheduledValues(time);
+      if (time <= this.audioContext.currentTime) {
+        gain.setValueAtTime(gain.value, time);
+      }
+      gain.setTargetAtTime(0, time, this.droneRelease / 5);
+      this.oscillators.forEach(({osc}) => osc.stop(time + this.droneRelease + 0.05));
+      this.droneBus = null;
+    }
+    this.padGain = null;
     this.oscillators = [];
-    
-    // Scheduled notes will auto-cleanup
+    this.dronePartials = {};
   }
 
   suspend() {
@@ -247,11 +1103,48 @@ export class ModalAudioEngine {
     }
   }
 
+  // Resolves once the context is running, so callers can wait before listening
   resume() {
     if (this.audioContext) {
-      this.audioContext.resume();
+      return this.audioContext.resume();
     }
+    return Promise.resolve();
+  }
+}
+
+// Tempo for a ramp after a number of completed loops
+function getRampTempo(ramp, loopCount) {
+  const increments = Math.floor(loopCount / ramp.everyLoops);
+  if (ramp.mode === 'sawtooth') {
+    // Climb to the ceiling, then drop back to the start tempo and climb again. The last step of a
+    // cycle is clamped, so the ceiling is reached even when the increment doesn't divide the range.
+    const stepsPerCycle = Math.ceil((ramp.ceiling - ramp.startTempo) / ramp.increment) + 1;
+    return Math.min(ramp.ceiling, ramp.startTempo + (increments % stepsPerCycle) * ramp.increment);
+  }
+  return Math.min(ramp.ceiling, ramp.startTempo + increments * ramp.increment);
+}
+
+// Check a tempo ramp before it is used. Returns a list of error messages.
+export function validateTempoRamp(ramp) {
+  const errors = [];
+  if (!RAMP_MODES.includes(ramp.mode)) {
+    errors.push(`Ramp mode must be one of ${RAMP_MODES.join(', ')}`);
+  }
+  ['startTempo', 'ceiling'].forEach(field => {
+    if (!Number.isInteger(ramp[field]) || ramp[field] < 30 || ramp[field] > 300) {
+      errors.push(`${field === 'ceiling' ? 'Ceiling' : 'Start tempo'} must be between 30 and 300 BPM`);
+    }
+  });
+  if (!Number.isInteger(ramp.increment) || ramp.increment < 1) {
+    errors.push('Tempo increase must be at least 1 BPM');
+  }
+  if (!Number.isInteger(ramp.everyLoops) || ramp.everyLoops < 1) {
+    errors.push('Loops between increases must be at least 1');
+  }
+  if (ramp.ceiling <= ramp.startTempo) {
+    errors.push('Ceiling must be above the start tempo');
   }
+  return errors;
 }
 
 // ===== USAGE EXAMPLE =====
@@ -262,6 +1155,8 @@ await engine.init();
 
 // Drone mode
 const rootNote = 62; // MIDI D (D3)
+engine.setDroneVoice('tanpura');
+engine.setDroneLevel('octave', 0.2);
 engine.startDrone(rootNote, true); // with fifth
 
 // Groove mode
@@ -272,4 +1167,4 @@ engine.startGroove(rootNote, grooveData, 100);
 engine.setTempo(120);
 engine.setVolume(0.5);
 engine.stopAll();
-*/
\ No newline at end of file
+*/
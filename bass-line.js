@@ -0,0 +1,124 @@
+// bass-line.js - Seeded demonstration bass lines for a mode and groove
+
+import { getRhythmicGrid } from './modal-data.js';
+
+// Lowest note the fretboard shows (open E string)
+const LOWEST_NOTE = 40;
+const LINE_BARS = 4; // At least this long, in whole groove loops, so the line can develop
+const CHARACTERISTIC_CHANCE = 0.6; // On strong beats other than the downbeat
+const OCTAVE_JUMP_CHANCE = 0.2; // On weak steps
+
+// Build a line on the groove's own hits. Returns {seed, loopSteps, notes: [{step, steps, midi, degree}]},
+// where loopSteps is the length of the line (a whole number of groove loops).
+export function generateBassLine(mode, groove, rootMIDI, seed) {
+  const random = createRandom(seed);
+  const grid = getRhythmicGrid(groove);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+
+  const scale = mode.intervals.map(interval => interval.semitones).sort((a, b) => a - b);
+  const characteristic = mode.intervals
+    .filter(interval => interval.color === 'characteristic' && interval.semitones !== 0)
+    .map(interval => interval.semitones);
+
+  // Chord under each step, as in the engine
+  const chordAtStep = [];
+  groove.chords.forEach(chord => {
+    const steps = Math.round(chord.duration * grid.stepsPerBeat);
+    for (let i = 0; i < steps; i++) chordAtStep.push(chord);
+  });
+  const grooveSteps = Math.max(groove.pattern.length, chordAtStep.length);
+  const loopSteps = grooveSteps * Math.ceil(LINE_BARS * grid.stepsPerBar / grooveSteps);
+
+  // Pad grooves with less than two hits a bar also get the beats, so the line has room to move
+  const hitsPerBar = groove.pattern.filter(hit => hit === 1).length * grid.stepsPerBar / groove.pattern.length;
+  const hits = [];
+  for (let step = 0; step < loopSteps; step++) {
+    if (groove.pattern[step % groove.pattern.length] === 1 || (hitsPerBar < 2 && step % grid.stepsPerBeat === 0)) {
+      hits.push(step);
+    }
+  }
+
+  // Sit the root in the bass register the fretboard can show
+  const base = rootMIDI - 12 >= LOWEST_NOTE ? rootMIDI - 12 : rootMIDI;
+  let previous = base;
+
+  let previousChord = null;
+
+  const notes = hits.map((step, index) => {
+    const chord = chordAtStep[step % chordAtStep.length];
+    const chordTones = chord.voicing.map(semitone => pitchClass(semitone));
+    const previousDegree = pitchClass(previous - base);
+    const bar = Math.floor(step / grid.stepsPerBar);
+    let semitones;
+    let midi = null;
+
+    if (step % grid.stepsPerBar === 0 && (bar % 2 === 0 || chord !== previousChord)) {
+      // Downbeats anchor the chord at the start of each two-bar phrase and on chord changes
+      semitones = pitchClass(chord.root);
+    } else if (index === hits.length - 1 && scale.length > 1) {
+      // Last note leads back to the root by step
+      semitones = pick([scale[1], scale[scale.length - 1]]);
+    } else if (step % grid.stepsPerBeat === 0) {
+      // Strong beats lean on the mode's colour
+      semitones = characteristic.length > 0 && random() < CHARACTERISTIC_CHANCE
+        ? pick(characteristic)
+        : pick(chordTones);
+    } else if (random() < OCTAVE_JUMP_CHANCE) {
+      // Same note, other octave
+      semitones = previousDegree;
+      midi = previous + 12 <= base + 14 ? previous + 12 : Math.max(LOWEST_NOTE, previous - 12);
+    } else {
+      // Weak steps walk to a neighbouring scale degree
+      const current = scale.indexOf(previousDegree);
+      const neighbours = current === -1
+        ? scale
+        : [scale[(current + 1) % scale.length], scale[(current - 1 + scale.length) % scale.length]];
+      semitones = pick(neighbours);
+    }
+
+    if (midi === null) {
+      midi = nearestOctave(base + semitones, previous, base);
+    }
+    previous = midi;
+    previousChord = chord;
+
+    const nextStep = index + 1 < hits.length ? hits[index + 1] : hits[0] + loopSteps;
+    return {
+      step,
+      steps: nextStep - step,
+      midi,
+      degree: getDegreeName(mode, semitones)
+    };
+  });
+
+  return {seed, loopSteps, notes};
+}
+
+// Voice the note in the octave closest to the last one, within the bass register
+function nearestOctave(midi, previous, base) {
+  const candidates = [midi - 12, midi, midi + 12].filter(note => note >= LOWEST_NOTE && note <= base + 14);
+  if (candidates.length === 0) return midi;
+  return candidates.reduce((best, note) => Math.abs(note - previous) < Math.abs(best - previous) ? note : best);
+}
+
+// 0-11 for any semitone offset, including negative chord roots such as bVII (-2)
+function pitchClass(semitones) {
+  return ((semitones % 12) + 12) % 12;
+}
+
+function getDegreeName(mode, semitones) {
+  const interval = mode.intervals.find(int => int.semitones === semitones);
+  return interval ? interval.degree : String(semitones);
+}
+
+// Small seeded PRNG (mulberry32) so a seed always gives the same line
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -16,6 +16,29 @@
 
 export const CONFIG = {
   pitchDetection: {
+    /**
+     * @property {string} algorithm - Pitch detection method ('mcleod' or 'yin')
+     *
+     * WHAT IT DOES:
+     * Selects the local pitch detector in pitch-algorithms.js. Both report a
+     * frequency and a 0-1 clarity score, so the thresholds below apply to either.
+     *
+     * TRADE-OFFS:
+     * - 'mcleod': McLeod Pitch Method (normalised square difference), fast and
+     *   very stable on sustained bass notes; the same method Pitchy used
+     * - 'yin': YIN (cumulative mean normalised difference), slightly slower,
+     *   an alternative when McLeod struggles with a particular instrument or pickup
+     *
+     * VALID RANGE: 'mcleod', 'yin'
+     *
+     * RECOMMENDED SETTINGS:
+     * - Default: 'mcleod'
+     * - Try 'yin' if notes are often reported an octave out
+     *
+     * CURRENT: 'mcleod'
+     */
+    algorithm: 'mcleod',
+
     /**
      * @property {number} bufferSize - FFT buffer size for frequency analysis
      *
@@ -48,19 +71,20 @@ export const CONFIG = {
      * Filters out sub-bass noise and room rumble below this threshold.
      *
      * TRADE-OFFS:
-     * - Lower (20-25 Hz): Detect very low notes (5-string low B at 30.9 Hz) but more noise
-     * - Higher (40-45 Hz): Faster processing, rejects more noise, may miss low E
+     * - Lower (25-28 Hz): Detect very low notes (5-string low B at 30.9 Hz, drop D at 36.7 Hz) but more noise
+     * - Higher (40-45 Hz): Rejects more noise, but misses anything below low E
      *
-     * VALID RANGE: 20-100 Hz
+     * VALID RANGE: 20-100 Hz (below ~32 Hz needs bufferSize 4096, so at least
+     * a period and a third of the lowest note fits in the analysis window)
      *
      * RECOMMENDED SETTINGS:
-     * - Standard 4-string bass: 38 Hz (just below low E at 41.2 Hz)
-     * - 5-string bass (low B): 25 Hz (below B0 at 30.9 Hz)
+     * - Any tuning the tuner offers: 28 Hz (below B0 at 30.9 Hz)
+     * - Standard 4-string bass only: 38 Hz (just below low E at 41.2 Hz)
      * - Noisy environment: 40-45 Hz (more aggressive filtering)
      *
-     * CURRENT: 38 Hz
+     * CURRENT: 28 Hz (5-string and drop D tunings)
      */
-    minFrequency: 38,
+    minFrequency: 28,
 
     /**
      * @property {number} maxFrequency - Maximum frequency to detect (Hz)
@@ -107,10 +131,11 @@ export const CONFIG = {
     threshold: -50,
 
     /**
-     * @property {number} confidenceThreshold - Minimum Pitchy clarity score (0-1)
+     * @property {number} confidenceThreshold - Minimum clarity score (0-1)
      *
      * WHAT IT DOES:
-     * Minimum "clarity" score from Pitchy's McLeod Pitch Method to accept a detection.
+     * Minimum "clarity" score from the pitch algorithm to accept a detection
+     * (McLeod: height of the chosen NSDF peak; YIN: 1 minus the normalised difference).
      * Higher values = more selective (fewer false positives, may miss valid notes).
      *
      * TRADE-OFFS:
@@ -133,12 +158,12 @@ export const CONFIG = {
      * @property {number} detectionCooldown - Minimum time between detections (ms)
      *
      * WHAT IT DOES:
-     * Minimum time between consecutive pitch detection callbacks.
-     * Prevents rapid-fire detections but doesn't affect final note counting (that's timeGateMs).
+     * Minimum time between consecutive pitch detection callbacks (the live fretboard).
+     * Doesn't affect note counting: every hop goes to the note segmenter (see noteCounting).
      *
      * TRADE-OFFS:
-     * - Lower (20-30 ms): More responsive to pitch changes, higher CPU usage
-     * - Higher (75-100 ms): Less CPU load, slower response to rapid note changes
+     * - Lower (20-30 ms): More responsive display, more main-thread updates
+     * - Higher (75-100 ms): Fewer updates, display lags rapid note changes
      *
      * VALID RANGE: 10-200 ms
      *
@@ -152,114 +177,107 @@ export const CONFIG = {
     detectionCooldown: 40,
 
     /**
-     * Web Audio API AnalyserNode settings
-     * These control the FFT analyzer behavior and visualization
+     * @property {number} hopSize - Samples between analyses (detection rate)
+     *
+     * WHAT IT DOES:
+     * The AudioWorklet analyses the latest bufferSize samples every hopSize samples,
+     * independent of display refresh and background tabs. Each analysis is timestamped
+     * on the AudioContext clock and also updates the input meter.
+     *
+     * TRADE-OFFS:
+     * - Lower (256-512): More detections per second, finer timing, more audio-thread CPU
+     * - Higher (2048): Less CPU, coarser timing (43 ms at 48 kHz)
+     *
+     * VALID RANGE: 128 to bufferSize
+     *
+     * RECOMMENDED SETTINGS:
+     * - Default: 1024 (~21 ms at 48 kHz, close to the old once-per-frame rate)
+     * - Fast passages / timing analysis: 512
+     * - Low-powered devices: 2048
+     *
+     * CURRENT: 1024
      */
-    analyser: {
-      /**
-       * @property {number} smoothingTimeConstant - FFT temporal smoothing (0-1)
-       *
-       * WHAT IT DOES:
-       * Controls smoothing of frequency data over time.
-       * 0 = no smoothing (instant response), 1 = maximum smoothing (very gradual)
-       *
-       * TRADE-OFFS:
-       * - Lower (0-0.2): More responsive but jittery/noisy display
-       * - Higher (0.5-0.8): Smoother display but laggy response
-       *
-       * VALID RANGE: 0.0-1.0
-       *
-       * RECOMMENDED SETTINGS:
-       * - Real-time responsiveness: 0.3 (default)
-       * - Smoother visualization: 0.5
-       * - Instant response (no smoothing): 0.0
-       *
-       * CURRENT: 0.3
-       */
-      smoothingTimeConstant: 0.3,
-
-      /**
-       * @property {number} minDecibels - FFT visualization minimum (dB)
-       *
-       * WHAT IT DOES:
-       * Minimum power value for FFT data scaling.
-       * Controls input meter sensitivity and dynamic range visualization.
-       *
-       * VALID RANGE: -100 to -30 dB
-       * RECOMMENDED: -70 dB for line input
-       * CURRENT: -70 dB
-       */
-      minDecibels: -70,
-
-      /**
-       * @property {number} maxDecibels - FFT visualization maximum (dB)
-       *
-       * WHAT IT DOES:
-       * Maximum power value for FFT data scaling.
-       * Controls input meter range and clipping point for visualization.
-       *
-       * VALID RANGE: -40 to 0 dB
-       * RECOMMENDED: -10 dB for line input
-       * CURRENT: -10 dB
-       */
-      maxDecibels: -10
-    }
+    hopSize: 1024
   },
 
   noteCounting: {
     /**
-     * @property {number} timeGateMs - Minimum time between counting notes (ms)
+     * @property {number} onsetRiseDb - Energy rise that marks a new note (dB)
      *
      * WHAT IT DOES:
-     * Minimum time that must pass before counting another note of the same pitch class.
-     * Prevents re-counting sustained notes while allowing rapid note sequences.
-     * Combined with pitch class matching for hybrid duplicate detection.
+     * The analysis worklet compares the energy of the last ~21 ms of input with the
+     * ~21 ms before it, every 128 samples. Each time the rise goes over this value, its
+     * peak is an onset, timed at the boundary between the two windows (~3 ms resolution).
+     * A ringing string only decays, so a re-pluck of the same note shows up as a rise even
+     * without a gap; this is what separates repeated notes and octave pumps. A note coming
+     * up through the signal threshold also starts a note.
      *
      * TRADE-OFFS:
-     * - Lower (200-250 ms): Counts faster playing (4-5 notes/sec) but may double-count sustained notes
-     * - Higher (400-600 ms): Safer against double-counting but may miss fast repeated notes
+     * - Lower (2-2.5 dB): Catches softer re-plucks of a ringing string, but beating or a
+     *   noisy signal may split notes
+     * - Higher (5-8 dB): Only clear attacks count; repeated notes that are barely louder
+     *   than the ringing one merge (fast sixteenths on a long-sustaining bass, or soft notes
+     *   after loud ones)
      *
-     * VALID RANGE: 100-2000 ms
+     * VALID RANGE: 1.5-15 dB
      *
      * RECOMMENDED SETTINGS:
-     * - Balanced (scales/modal exercises): 300 ms (3.33 notes/sec max)
-     * - Fast runs/technical playing: 250 ms (4 notes/sec max)
-     * - Slow/sustained playing: 400-600 ms (1.67-2.5 notes/sec max)
+     * - Fingerstyle / picked: 3 dB
+     * - Heavy compression on the input: 2-2.5 dB
+     * - Noisy signal: 5 dB
      *
-     * PERFORMANCE HISTORY:
-     * - Started at 600 ms with custom autocorrelation (86% accuracy)
-     * - Reduced to 400 ms with Pitchy (87.5% accuracy)
-     * - Reduced to 300 ms with Pitchy (100% accuracy on 4th string, 77% on 2nd string fast)
-     * - Option 1 (Balanced): 280 ms for faster note sequences (3.57 notes/sec)
+     * CURRENT: 3 dB
+     */
+    onsetRiseDb: 3,
+
+    /**
+     * @property {number} stableFrames - Analysis hops that must agree on a pitch
+     *
+     * WHAT IT DOES:
+     * After an onset, the note is only reported once this many hops in a row detect
+     * the same MIDI note. While a note sounds, a different pitch held for this many
+     * hops (hammer-on, pull-off, slide) ends it and starts the next note.
      *
-     * CURRENT: 280 ms (Option 1: Balanced - allows faster chromatic passages)
+     * TRADE-OFFS:
+     * - 1: Fastest response, attack transients may be reported as wrong notes
+     * - 2: Balanced (~40 ms at the default hop)
+     * - 3-4: Very stable, slower to report and may miss very short notes
+     *
+     * VALID RANGE: 1-6
+     *
+     * CURRENT: 2
      */
-    timeGateMs: 280,
+    stableFrames: 2,
 
     /**
-     * @property {boolean} enablePitchClassMatching - Use pitch class for duplicate detection
+     * @property {number} releaseDropDb - Decay that ends a note (dB below its peak)
      *
      * WHAT IT DOES:
-     * When enabled, uses pitch class (note name without octave) for duplicate detection.
-     * Prevents octave jumps from being counted as the same note.
-     * Example: C3 and C4 are counted as different notes (both are pitch class C).
+     * A note ends when its envelope falls this far below its loudest point, or under
+     * the signal threshold, whichever comes first.
      *
      * TRADE-OFFS:
-     * - true (recommended): Counts octaves separately, prevents octave jump false positives
-     * - false: Treats all octaves of same note as identical (may miss legitimate octave changes)
+     * - Lower (15-20 dB): Shorter notes, closer to what is heard on a muted or staccato line
+     * - Higher (30-40 dB): Long sustained notes keep going until nearly silent
+     *
+     * VALID RANGE: 10-60 dB
      *
-     * VALID RANGE: true/false
+     * CURRENT: 30 dB
+     */
+    releaseDropDb: 30,
+
+    /**
+     * @property {number} pitchLostFrames - Hops without a clear pitch that end a note
      *
-     * RECOMMENDED: true (always enabled for accurate statistics)
+     * WHAT IT DOES:
+     * Ends a note whose pitch can no longer be detected even though there is still signal
+     * (a choked or muted string), and abandons an onset that never settles on a pitch.
      *
-     * TECHNICAL NOTE:
-     * Pitch class is calculated as: midiNote % 12
-     * - C = 0, C# = 1, D = 2, ... B = 11
-     * - Works across all octaves (C3 % 12 = 0, C4 % 12 = 0)
+     * VALID RANGE: 2-20
      *
-     * CURRENT: true
+     * CURRENT: 6 (~130 ms at the default hop)
      */
-    enablePitchClassMatching: true
+    pitchLostFrames: 6
   }
 };
 
@@ -0,0 +1,223 @@
+// custom-modes.js - User-defined modes with browser persistence
+
+import { MODAL_DATA } from './modal-data.js';
+import { migrateGroove, validateGroove } from './groove-packs.js';
+
+const STORAGE_KEY = 'modalBassTrainer.customModes';
+const INTERVAL_COLORS = ['stable', 'characteristic', 'neutral'];
+
+// Load saved custom modes and register them alongside the built-in modes
+export function loadCustomModes() {
+  const saved = readStorage();
+  const loaded = [];
+
+  Object.entries(saved).forEach(([modeId, mode]) => {
+    // Only custom ids, so an edited entry can't replace a built-in mode
+    if (!isCustomMode(modeId)) {
+      console.warn(`Skipping saved mode "${modeId}": not a custom mode id`);
+      return;
+    }
+    const errors = validateMode(mode);
+    if (errors.length > 0) {
+      console.warn(`Skipping invalid custom mode "${modeId}":`, errors);
+      return;
+    }
+    MODAL_DATA.modes[modeId] = { ...mode, family: 'custom', grooves: mode.grooves.map(migrateGroove) };
+    loaded.push(modeId);
+  });
+
+  return loaded;
+}
+
+// Validate and save a custom mode. Returns { modeId, errors }.
+export function saveCustomMode(mode, modeId = null) {
+  const prepared = {
+    ...mode,
+    family: 'custom',
+    grooves: mode.grooves && mode.grooves.length > 0
+      ? mode.grooves
+      : [createDefaultGroove(mode.intervals || [])]
+  };
+
+  const errors = validateMode(prepared);
+  if (errors.length > 0) {
+    return { modeId: null, errors };
+  }
+
+  const id = modeId || createModeId(prepared.name);
+  if (!isCustomMode(id) && MODAL_DATA.modes[id]) {
+    return { modeId: null, errors: [`"${id}" is a built-in mode and cannot be overwritten`] };
+  }
+
+  const saved = readStorage();
+  saved[id] = prepared;
+  writeStorage(saved);
+
+  // User grooves are stored with the groove packs, so an edited mode keeps the ones it had
+  const existing = MODAL_DATA.modes[id];
+  const userGrooves = existing ? existing.grooves.filter(groove => groove.user) : [];
+  MODAL_DATA.modes[id] = { ...prepared, grooves: [...prepared.grooves, ...userGrooves] };
+  return { modeId: id, errors: [] };
+}
+
+export function deleteCustomMode(modeId) {
+  if (!isCustomMode(modeId)) return false;
+
+  const saved = readStorage();
+  delete saved[modeId];
+  writeStorage(saved);
+
+  delete MODAL_DATA.modes[modeId];
+  return true;
+}
+
+export function isCustomMode(modeId) {
+  return typeof modeId === 'string' && modeId.startsWith('custom_');
+}
+
+export function getCustomModeIds() {
+  return Object.keys(MODAL_DATA.modes).filter(isCustomMode);
+}
+
+// Check a mode against the shape getMode() returns. Returns a list of error messages.
+export function validateMode(mode) {
+  const errors = [];
+
+  if (!mode || typeof mode !== 'object') {
+    return ['Mode must be an object'];
+  }
+
+  if (typeof mode.name !== 'string' || mode.name.trim() === '') {
+    errors.push('Mode name is required');
+  }
+
+  if (typeof mode.description !== 'string') {
+    errors.push('Description must be a string');
+  }
+
+  // Intervals
+  if (!Array.isArray(mode.intervals) || mode.intervals.length < 2) {
+    errors.push('A mode needs at least two scale degrees');
+  } else {
+    const seen = new Set();
+    mode.intervals.forEach((interval, index) => {
+      const where = `Degree ${index + 1}`;
+      if (!Number.isInteger(interval.semitones) || interval.semitones < 0 || interval.semitones > 11) {
+        errors.push(`${where}: semitones must be a whole number from 0 to 11`);
+      } else if (seen.has(interval.semitones)) {
+        errors.push(`${where}: semitone ${interval.semitones} is used twice`);
+      } else {
+        seen.add(interval.semitones);
+      }
+      if (typeof interval.degree !== 'string' || interval.degree.trim() === '') {
+        errors.push(`${where}: degree name is required`);
+      }
+      if (!INTERVAL_COLORS.includes(interval.color)) {
+        errors.push(`${where}: must be marked stable, characteristic or neutral`);
+      }
+      if (typeof interval.label !== 'string') {
+        errors.push(`${where}: label must be a string`);
+      }
+    });
+
+    if (!seen.has(0)) {
+      errors.push('The root (0 semitones) must be part of the mode');
+    }
+
+    const ascending = mode.intervals.every((interval, i, arr) =>
+      i === 0 || interval.semitones > arr[i - 1].semitones
+    );
+    if (!ascending) {
+      errors.push('Scale degrees must be listed in ascending order');
+    }
+  }
+
+  // Avoid notes
+  if (!Array.isArray(mode.avoidNotes)) {
+    errors.push('Avoid notes must be a list');
+  } else {
+    const scaleTones = new Set((mode.intervals || []).map(int => int.semitones));
+    mode.avoidNotes.forEach((avoid, index) => {
+      const where = `Avoid note ${index + 1}`;
+      if (!Number.isInteger(avoid.semitones) || avoid.semitones < 0 || avoid.semitones > 11) {
+        errors.push(`${where}: semitones must be a whole number from 0 to 11`);
+      } else if (scaleTones.has(avoid.semitones)) {
+        errors.push(`${where}: ${avoid.degree || avoid.semitones} is already a scale degree`);
+      }
+      if (typeof avoid.degree !== 'string' || avoid.degree.trim() === '') {
+        errors.push(`${where}: degree name is required`);
+      }
+      if (avoid.color !== 'avoid') {
+        errors.push(`${where}: color must be "avoid"`);
+      }
+      if (typeof avoid.reason !== 'string' || avoid.reason.trim() === '') {
+        errors.push(`${where}: a reason is required`);
+      }
+    });
+  }
+
+  // Grooves
+  if (!Array.isArray(mode.grooves) || mode.grooves.length === 0) {
+    errors.push('A mode needs at least one groove');
+  } else {
+    // The same checks as user grooves, so a stored groove can't break the scheduler later
+    mode.grooves.forEach((groove, index) => {
+      validateGroove(migrateGroove(groove)).forEach(error => errors.push(`Groove ${index + 1}: ${error}`));
+    });
+  }
+
+  return errors;
+}
+
+// Simple root pulse so custom modes can be used in groove practice straight away
+function createDefaultGroove(intervals) {
+  const hasFifth = intervals.some(int => int.semitones === 7);
+  return {
+    id: 'custom_root_pulse',
+    name: "Root Pulse",
+    chords: [
+      {root: 0, quality: hasFifth ? '5' : '1', voicing: hasFifth ? [0, 7] : [0, 12], duration: 4}
+    ],
+    pattern: [1, 0, 0, 0],
+    meter: '4/4',
+    subdivision: 'quarter',
+    tempo: 80,
+    swing: false,
+    density: 'sparse',
+    description: "Root pulse - explore the scale freely"
+  };
+}
+
+function createModeId(name) {
+  const slug = name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'mode';
+  let id = `custom_${slug}`;
+  let suffix = 2;
+  while (MODAL_DATA.modes[id]) {
+    id = `custom_${slug}_${suffix++}`;
+  }
+  return id;
+}
+
+function readStorage() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : {};
+    // Anything but an id -> mode map (null, an array, a string) was not written by this module
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+      console.warn('Ignoring malformed custom modes in storage');
+      return {};
+    }
+    return saved;
+  } catch (error) {
+    console.error('Failed to read custom modes:', error);
+    return {};
+  }
+}
+
+function writeStorage(modes) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(modes));
+  } catch (error) {
+    console.error('Failed to save custom modes:', error);
+  }
+}
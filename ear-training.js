@@ -0,0 +1,94 @@
+// ear-training.js - Scale-degree recognition over the drone, weighted towards missed degrees
+
+const STORAGE_KEY = 'modalBassTrainer.earTraining';
+const MISS_WEIGHT = 4; // How much more often an always-missed degree comes up than a mastered one
+
+export class EarTrainer {
+  constructor(modeId, mode) {
+    this.modeId = modeId;
+
+    // Every degree but the root, which the drone already sounds
+    this.degrees = mode.intervals
+      .filter(interval => interval.semitones !== 0)
+      .map(interval => ({semitones: interval.semitones, degree: interval.degree}));
+
+    this.lastSemitones = null;
+  }
+
+  // Pick the next degree, favouring the ones missed most in this mode
+  nextQuestion() {
+    const stats = this.getModeStats();
+    let candidates = this.degrees.filter(d => d.semitones !== this.lastSemitones);
+    if (candidates.length === 0) {
+      candidates = this.degrees;
+    }
+
+    const weights = candidates.map(d => {
+      const { asked, correct } = stats[d.semitones] || {asked: 0, correct: 0};
+      const missRate = (asked - correct + 1) / (asked + 2); // Unasked degrees start at 50%
+      return 1 + MISS_WEIGHT * missRate;
+    });
+
+    let pick = Math.random() * weights.reduce((sum, w) => sum + w, 0);
+    const question = candidates.find((d, i) => (pick -= weights[i]) < 0) || candidates[candidates.length - 1];
+
+    this.lastSemitones = question.semitones;
+    return {...question};
+  }
+
+  // Record an answer (semitones above the root). Returns {correct, expected}.
+  answer(question, semitones, reactionMs) {
+    const correct = semitones === question.semitones;
+
+    const saved = readStorage();
+    const modeStats = saved[this.modeId] || {};
+    const entry = modeStats[question.semitones] || {asked: 0, correct: 0, reactionMs: 0};
+    entry.asked++;
+    if (correct) {
+      entry.correct++;
+      entry.reactionMs += reactionMs;
+    }
+    modeStats[question.semitones] = entry;
+    saved[this.modeId] = modeStats;
+    writeStorage(saved);
+
+    return {correct, expected: question.degree};
+  }
+
+  getModeStats() {
+    return readStorage()[this.modeId] || {};
+  }
+
+  // Per-degree accuracy and mean reaction time (correct answers) across all sessions in this mode
+  getDegreeStats() {
+    const stats = this.getModeStats();
+    return this.degrees.map(d => {
+      const { asked, correct, reactionMs } = stats[d.semitones] || {asked: 0, correct: 0, reactionMs: 0};
+      return {
+        ...d,
+        asked,
+        correct,
+        accuracy: asked > 0 ? correct / asked * 100 : null,
+        meanReaction: correct > 0 ? reactionMs / correct : null
+      };
+    });
+  }
+}
+
+function readStorage() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    console.error('Failed to read ear training stats:', error);
+    return {};
+  }
+}
+
+function writeStorage(stats) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+  } catch (error) {
+    console.error('Failed to save ear training stats:', error);
+  }
+}
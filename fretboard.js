@@ -34,6 +34,9 @@ export class FretboardVisualizer {
     // Animation
     this.lastFrameTime = 0;
     this.isAnimating = false;
+
+    // Called with the interval (semitones above the root) of a clicked heat map cell
+    this.onHeatMapClick = null;
     
     this.resize();
     this.setupEventListeners();
@@ -59,6 +62,12 @@ export class FretboardVisualizer {
 
   setupEventListeners() {
     window.addEventListener('resize', () => this.resize());
+    this.canvas.addEventListener('click', (e) => {
+      const interval = this.getHeatMapCellAt(e.offsetX, e.offsetY);
+      if (interval !== null && this.onHeatMapClick) {
+        this.onHeatMapClick(interval);
+      }
+    });
   }
 
   // ===== MODAL SETUP =====
@@ -473,16 +482,12 @@ export class FretboardVisualizer {
   drawHeatMap() {
     const { ctx } = this;
     const { width } = this.dimensions;
-    const { margin } = this.config;
     
     if (!this.currentMode) return;
     
     ctx.save();
     
-    const heatMapY = margin.top + 4 * this.config.stringSpacing + 80;
-    const cellWidth = 50;
-    const cellHeight = 40;
-    const startX = (width - 12 * cellWidth) / 2;
+    const { heatMapY, cellWidth, cellHeight, startX } = this.getHeatMapLayout();
     
     // Title
     ctx.fillStyle = '#ccc';
@@ -542,6 +547,25 @@ export class FretboardVisualizer {
     ctx.restore();
   }
 
+  getHeatMapLayout() {
+    const heatMapY = this.config.margin.top + 4 * this.config.stringSpacing + 80;
+    const cellWidth = 50;
+    const cellHeight = 40;
+    const startX = (this.dimensions.width - 12 * cellWidth) / 2;
+    return { heatMapY, cellWidth, cellHeight, startX };
+  }
+
+  getHeatMapCellAt(x, y) {
+    // Interval of the heat map cell under a canvas point, or null
+    if (!this.currentMode) return null;
+
+    const { heatMapY, cellWidth, cellHeight, startX } = this.getHeatMapLayout();
+    if (y < heatMapY || y > heatMapY + cellHeight) return null;
+
+    const cell = Math.floor((x - startX) / cellWidth);
+    return cell >= 0 && cell < 12 ? cell : null;
+  }
+
   // ===== UTILITY =====
   
   midiToFreq(midiNote) {
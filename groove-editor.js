@@ -0,0 +1,530 @@
+// groove-editor.js - Step-sequencer editor for building and auditioning grooves
+
+import { MODAL_DATA, getMode, getRhythmicGrid } from './modal-data.js';
+import { saveUserGroove, validateGroove } from './groove-packs.js';
+
+const BAR_COUNTS = [1, 2, 4];
+const DENSITIES = ['sparse', 'medium', 'dense'];
+
+export class GrooveEditor {
+  constructor(containerId, audioEngine, onGrooveSaved) {
+    this.container = document.getElementById(containerId);
+    this.audioEngine = audioEngine;
+    this.onGrooveSaved = onGrooveSaved; // (modeId, grooveId) after save
+
+    // Context from the main controls
+    this.modeId = null;
+    this.rootMIDI = 62;
+
+    // Groove being edited
+    this.grooveId = null; // Set when editing an existing user groove
+    this.pattern = [1, 0, 0, 0];
+    this.meter = '4/4';
+    this.subdivision = 'quarter';
+    this.chords = [{root: 0, quality: 'm7', voicing: [0, 3, 7, 10], duration: 4}];
+    this.drums = createEmptyDrums(this.pattern.length);
+
+    this.isAuditioning = false;
+
+    this.render();
+  }
+
+  // ===== RENDERING =====
+
+  render() {
+    this.container.innerHTML = `
+      <summary>Groove Editor</summary>
+      <div class="editor-body">
+        <div class="editor-fields">
+          <div class="control-group">
+            <label for="groove-editor-source">Start from:</label>
+            <select id="groove-editor-source"></select>
+          </div>
+          <div class="control-group">
+            <label for="groove-editor-name">Name:</label>
+            <input type="text" id="groove-editor-name" placeholder="e.g. Slow Burn">
+          </div>
+          <div class="control-group">
+            <label for="groove-editor-description">Description:</label>
+            <input type="text" id="groove-editor-description" placeholder="Short feel description">
+          </div>
+          <div class="control-group">
+            <label for="groove-editor-density">Density:</label>
+            <select id="groove-editor-density">
+              ${DENSITIES.map(d => `<option value="${d}">${d}</option>`).join('')}
+            </select>
+          </div>
+          <div class="control-group">
+            <label for="groove-editor-tempo">Tempo: <span id="groove-editor-tempo-display">90</span> BPM</label>
+            <input type="range" id="groove-editor-tempo" min="60" max="140" value="90">
+          </div>
+          <div class="control-group">
+            <label for="groove-editor-swing">Swing:</label>
+            <input type="checkbox" id="groove-editor-swing">
+          </div>
+        </div>
+
+        <div class="editor-fields">
+          <div class="control-group">
+            <label for="groove-editor-meter">Meter:</label>
+            <select id="groove-editor-meter">
+              ${Object.keys(MODAL_DATA.meters).map(m => `<option value="${m}">${m}</option>`).join('')}
+            </select>
+          </div>
+          <div class="control-group">
+            <label for="groove-editor-subdivision">Steps:</label>
+            <select id="groove-editor-subdivision">
+              ${Object.entries(MODAL_DATA.subdivisions).map(([id, sub]) => `<option value="${id}">${sub.name}</option>`).join('')}
+            </select>
+          </div>
+          <div class="control-group">
+            <label for="groove-editor-bars">Pattern length:</label>
+            <select id="groove-editor-bars">
+              ${BAR_COUNTS.map(n => `<option value="${n}">${n} bar${n === 1 ? '' : 's'}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="step-grid"></div>
+
+        <div class="chord-lane"></div>
+        <div class="button-group">
+          <button type="button" class="btn btn-primary" data-action="add-chord">Add Chord</button>
+          <button type="button" class="btn btn-primary" data-action="play">Play</button>
+          <button type="button" class="btn btn-primary" data-action="save">Save Groove</button>
+        </div>
+        <div class="editor-errors"></div>
+      </div>
+    `;
+
+    const q = (selector) => this.container.querySelector(selector);
+    this.ui = {
+      source: q('#groove-editor-source'),
+      name: q('#groove-editor-name'),
+      description: q('#groove-editor-description'),
+      density: q('#groove-editor-density'),
+      tempo: q('#groove-editor-tempo'),
+      tempoDisplay: q('#groove-editor-tempo-display'),
+      swing: q('#groove-editor-swing'),
+      meter: q('#groove-editor-meter'),
+      subdivision: q('#groove-editor-subdivision'),
+      bars: q('#groove-editor-bars'),
+      stepGrid: q('.step-grid'),
+      chordLane: q('.chord-lane'),
+      addChordButton: q('[data-action="add-chord"]'),
+      playButton: q('[data-action="play"]'),
+      saveButton: q('[data-action="save"]'),
+      errors: q('.editor-errors')
+    };
+
+    this.ui.source.addEventListener('change', () => this.loadGroove(this.ui.source.value));
+    this.ui.meter.addEventListener('change', () => this.setGrid(this.ui.meter.value, this.subdivision));
+    this.ui.subdivision.addEventListener('change', () => this.setGrid(this.meter, this.ui.subdivision.value));
+    this.ui.bars.addEventListener('change', () => this.resizePattern(parseInt(this.ui.bars.value)));
+    this.ui.tempo.addEventListener('input', () => {
+      this.ui.tempoDisplay.textContent = this.ui.tempo.value;
+      if (this.isAuditioning) {
+        this.audioEngine.setTempo(parseInt(this.ui.tempo.value));
+      }
+    });
+    [this.ui.name, this.ui.description, this.ui.density, this.ui.swing].forEach(el => {
+      el.addEventListener('change', () => this.onGrooveEdited());
+    });
+    this.ui.addChordButton.addEventListener('click', () => this.addChord());
+    this.ui.playButton.addEventListener('click', () => this.toggleAudition());
+    this.ui.saveButton.addEventListener('click', () => this.save());
+
+    this.renderStepGrid();
+    this.renderChordLane();
+  }
+
+  renderStepGrid() {
+    const grid = this.ui.stepGrid;
+    grid.innerHTML = '';
+
+    const rhythm = getRhythmicGrid({meter: this.meter, subdivision: this.subdivision});
+    this.ui.meter.value = this.meter;
+    this.ui.subdivision.value = this.subdivision;
+    this.ui.bars.value = rhythm ? Math.max(1, Math.round(this.pattern.length / rhythm.stepsPerBar)) : 1;
+
+    // Bass pattern on top, drum lanes below on the same grid
+    grid.appendChild(this.createLane('Bass', this.pattern, rhythm));
+    MODAL_DATA.drumLanes.forEach(lane => {
+      grid.appendChild(this.createLane(lane, this.drums[lane], rhythm));
+    });
+  }
+
+  createLane(label, steps, rhythm) {
+    const row = document.createElement('div');
+    row.className = 'step-lane';
+
+    const name = document.createElement('span');
+    name.className = 'step-lane-label';
+    name.textContent = label;
+    row.appendChild(name);
+
+    steps.forEach((active, index) => {
+      const step = document.createElement('button');
+      step.type = 'button';
+      step.className = 'step' + (active ? ' active' : '');
+      // Mark beat and bar starts so the grid reads like notation
+      if (rhythm && index % rhythm.stepsPerBar === 0) {
+        step.classList.add('bar-start');
+      } else if (rhythm && Number.isInteger(rhythm.stepsPerBeat) && index % rhythm.stepsPerBeat === 0) {
+        step.classList.add('beat-start');
+      }
+      step.textContent = index + 1;
+      step.addEventListener('click', () => {
+        steps[index] = steps[index] ? 0 : 1;
+        step.classList.toggle('active', steps[index] === 1);
+        this.onGrooveEdited();
+      });
+      row.appendChild(step);
+    });
+
+    return row;
+  }
+
+  renderChordLane() {
+    const lane = this.ui.chordLane;
+    lane.innerHTML = '';
+
+    this.chords.forEach((chord, index) => {
+      const row = document.createElement('div');
+      row.className = 'chord-row';
+
+      const root = document.createElement('select');
+      for (let semitones = -12; semitones <= 12; semitones++) {
+        const option = document.createElement('option');
+        const name = MODAL_DATA.chromaticDegrees[(semitones + 12) % 12].degree;
+        option.value = semitones;
+        option.textContent = `${name} (${semitones > 0 ? '+' : ''}${semitones})`;
+        root.appendChild(option);
+      }
+      root.value = chord.root;
+
+      const quality = document.createElement('input');
+      quality.type = 'text';
+      quality.value = chord.quality;
+      quality.placeholder = 'Quality';
+
+      const voicing = document.createElement('input');
+      voicing.type = 'text';
+      voicing.value = chord.voicing.join(', ');
+      voicing.placeholder = 'Voicing (semitones)';
+
+      const duration = document.createElement('input');
+      duration.type = 'number';
+      const rhythm = getRhythmicGrid({meter: this.meter, subdivision: this.subdivision});
+      const stepBeats = rhythm ? 1 / rhythm.stepsPerBeat : 0.5;
+      duration.min = stepBeats;
+      duration.step = stepBeats;
+      duration.value = chord.duration;
+
+      const stack = document.createElement('button');
+      stack.type = 'button';
+      stack.className = 'btn btn-small';
+      stack.textContent = 'Diatonic 7th';
+      stack.title = 'Stack thirds from the mode on this root';
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-small btn-secondary';
+      remove.textContent = 'Remove';
+      remove.disabled = this.chords.length === 1;
+
+      root.addEventListener('change', () => {
+        chord.root = parseInt(root.value);
+        this.onGrooveEdited();
+      });
+      quality.addEventListener('change', () => {
+        chord.quality = quality.value.trim();
+        this.onGrooveEdited();
+      });
+      voicing.addEventListener('change', () => {
+        chord.voicing = voicing.value.split(/[\s,]+/).filter(v => v !== '').map(Number);
+        this.onGrooveEdited();
+      });
+      duration.addEventListener('change', () => {
+        chord.duration = parseFloat(duration.value);
+        this.onGrooveEdited();
+      });
+      stack.addEventListener('click', () => {
+        chord.voicing = this.stackThirds(chord.root);
+        voicing.value = chord.voicing.join(', ');
+        this.onGrooveEdited();
+      });
+      remove.addEventListener('click', () => {
+        this.chords.splice(index, 1);
+        this.renderChordLane();
+        this.onGrooveEdited();
+      });
+
+      row.append(root, quality, voicing, duration, stack, remove);
+      lane.appendChild(row);
+    });
+  }
+
+  refreshSourceOptions() {
+    const select = this.ui.source;
+    select.innerHTML = '<option value="">New groove</option>';
+
+    const mode = this.modeId ? getMode(this.modeId) : null;
+    if (!mode) return;
+
+    mode.grooves.forEach(groove => {
+      const option = document.createElement('option');
+      option.value = groove.id;
+      option.textContent = groove.user ? `${groove.name} (yours)` : `${groove.name} (copy)`;
+      select.appendChild(option);
+    });
+
+    select.value = this.grooveId || '';
+  }
+
+  // ===== CONTEXT =====
+
+  setContext(modeId, rootMIDI) {
+    const modeChanged = modeId !== this.modeId;
+    this.modeId = modeId;
+    this.rootMIDI = rootMIDI;
+
+    if (modeChanged) {
+      this.grooveId = null;
+    }
+    this.refreshSourceOptions();
+
+    if (this.isAuditioning) {
+      this.onGrooveEdited();
+    }
+  }
+
+  // ===== EDITING =====
+
+  loadGroove(grooveId) {
+    const mode = getMode(this.modeId);
+    const groove = grooveId ? mode.grooves.find(g => g.id === grooveId) : null;
+
+    // Built-in grooves are copied; user grooves are edited in place
+    this.grooveId = groove && groove.user ? groove.id : null;
+
+    this.ui.name.value = groove ? (groove.user ? groove.name : `${groove.name} Variation`) : '';
+    this.ui.description.value = groove ? groove.description || '' : '';
+    this.ui.density.value = groove ? groove.density : 'sparse';
+    this.ui.swing.checked = groove ? groove.swing : false;
+    this.ui.tempo.value = groove ? groove.tempo : 90;
+    this.ui.tempoDisplay.textContent = this.ui.tempo.value;
+
+    this.pattern = groove ? [...groove.pattern] : [1, 0, 0, 0];
+    this.meter = groove ? groove.meter : '4/4';
+    this.subdivision = groove ? groove.subdivision : 'quarter';
+    this.chords = groove
+      ? groove.chords.map(chord => ({...chord, voicing: [...chord.voicing]}))
+      : [{root: 0, quality: 'm7', voicing: [0, 3, 7, 10], duration: 4}];
+    this.drums = createEmptyDrums(this.pattern.length);
+    if (groove && groove.drums) {
+      Object.entries(groove.drums).forEach(([lane, steps]) => {
+        this.drums[lane] = [...steps];
+      });
+    }
+
+    this.renderStepGrid();
+    this.renderChordLane();
+    this.onGrooveEdited();
+
+    if (this.isAuditioning) {
+      this.audioEngine.setTempo(parseInt(this.ui.tempo.value));
+    }
+  }
+
+  setGrid(meter, subdivision) {
+    const rhythm = getRhythmicGrid({meter, subdivision});
+    if (!rhythm) {
+      this.showErrors([`${MODAL_DATA.subdivisions[subdivision].name} do not divide a bar of ${meter} evenly`]);
+      this.ui.meter.value = this.meter;
+      this.ui.subdivision.value = this.subdivision;
+      return;
+    }
+
+    this.meter = meter;
+    this.subdivision = subdivision;
+
+    // Start over with a one-bar pattern and a bar-long chord so the new grid is valid straight away
+    this.chords = this.chords.slice(0, 1).map(chord => ({...chord, duration: MODAL_DATA.meters[meter].beatsPerBar}));
+    this.pattern = new Array(rhythm.stepsPerBar).fill(0);
+    this.pattern[0] = 1;
+    this.drums = createEmptyDrums(this.pattern.length);
+
+    this.renderStepGrid();
+    this.renderChordLane();
+    this.onGrooveEdited();
+  }
+
+  resizePattern(bars) {
+    const rhythm = getRhythmicGrid({meter: this.meter, subdivision: this.subdivision});
+    const stepCount = bars * rhythm.stepsPerBar;
+    const resize = (steps) => {
+      const resized = new Array(stepCount).fill(0);
+      steps.forEach((active, index) => {
+        if (index < stepCount) resized[index] = active;
+      });
+      return resized;
+    };
+    this.pattern = resize(this.pattern);
+    MODAL_DATA.drumLanes.forEach(lane => {
+      this.drums[lane] = resize(this.drums[lane]);
+    });
+    this.renderStepGrid();
+    this.onGrooveEdited();
+  }
+
+  addChord() {
+    const last = this.chords[this.chords.length - 1];
+    this.chords.push({...last, voicing: [...last.voicing]});
+    this.renderChordLane();
+    this.onGrooveEdited();
+  }
+
+  // Diatonic chord from the current mode: root plus every other scale degree above it
+  stackThirds(chordRoot) {
+    const mode = getMode(this.modeId);
+    const scale = mode.intervals.map(int => int.semitones);
+    const rootPitchClass = ((chordRoot % 12) + 12) % 12;
+
+    // Nearest scale degree at or below the chord root
+    let start = scale.length - 1;
+    while (start > 0 && scale[start] > rootPitchClass) start--;
+
+    const voicing = [];
+    for (let i = 0; i < 4; i++) {
+      const index = start + i * 2;
+      const octave = Math.floor(index / scale.length) * 12;
+      voicing.push(chordRoot - rootPitchClass + scale[index % scale.length] + octave);
+    }
+    return voicing;
+  }
+
+  readGroove() {
+    const name = this.ui.name.value.trim();
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'groove';
+
+    // Only keep drum lanes that actually play
+    const drums = {};
+    MODAL_DATA.drumLanes.forEach(lane => {
+      if (this.drums[lane].includes(1)) drums[lane] = [...this.drums[lane]];
+    });
+
+    const groove = {
+      id: this.grooveId || this.createGrooveId(slug),
+      name: name,
+      chords: this.chords.map(chord => ({...chord, voicing: [...chord.voicing]})),
+      pattern: [...this.pattern],
+      meter: this.meter,
+      subdivision: this.subdivision,
+      tempo: parseInt(this.ui.tempo.value),
+      swing: this.ui.swing.checked,
+      density: this.ui.density.value,
+      description: this.ui.description.value.trim()
+    };
+    if (Object.keys(drums).length > 0) {
+      groove.drums = drums;
+    }
+    return groove;
+  }
+
+  // A new groove never takes the id of one already in the mode, so saving can't replace it
+  createGrooveId(slug) {
+    const mode = this.modeId ? getMode(this.modeId) : null;
+    const taken = new Set(mode ? mode.grooves.map(g => g.id) : []);
+    let id = `user_${slug}`;
+    let suffix = 2;
+    while (taken.has(id)) {
+      id = `user_${slug}_${suffix++}`;
+    }
+    return id;
+  }
+
+  onGrooveEdited() {
+    const groove = this.readGroove();
+    // Name is only required to save, not to audition
+    const errors = validateGroove({...groove, name: groove.name || 'Untitled'});
+    this.showErrors(errors);
+
+    // Keep playing the last valid version while edits are incomplete
+    if (this.isAuditioning && errors.length === 0) {
+      this.audioEngine.updateGroove(this.rootMIDI, groove);
+    }
+  }
+
+  // ===== AUDITION / SAVE =====
+
+  toggleAudition() {
+    if (this.isAuditioning) {
+      this.stopAudition();
+      return;
+    }
+
+    const groove = this.readGroove();
+    const errors = validateGroove({...groove, name: groove.name || 'Untitled'});
+    if (errors.length > 0) {
+      this.showErrors(errors);
+      return;
+    }
+
+    this.audioEngine.startGroove(this.rootMIDI, groove, groove.tempo);
+    this.isAuditioning = true;
+    this.ui.playButton.textContent = 'Stop';
+  }
+
+  stopAudition() {
+    if (!this.isAuditioning) return;
+
+    this.audioEngine.stopAll();
+    this.isAuditioning = false;
+    this.ui.playButton.textContent = 'Play';
+  }
+
+  save() {
+    const groove = this.readGroove();
+    const errors = saveUserGroove(this.modeId, groove);
+
+    if (errors.length > 0) {
+      this.showErrors(errors);
+      return;
+    }
+
+    this.grooveId = groove.id;
+    this.refreshSourceOptions();
+    this.showErrors([]);
+
+    if (this.onGrooveSaved) {
+      this.onGrooveSaved(this.modeId, groove.id);
+    }
+  }
+
+  showErrors(errors) {
+    // Errors can quote mode and groove names, so they go in as text
+    this.ui.errors.innerHTML = '';
+    errors.forEach(error => {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = error;
+      this.ui.errors.appendChild(paragraph);
+    });
+  }
+
+  setDisabled(disabled) {
+    this.container.querySelectorAll('input, select, button').forEach(el => {
+      el.disabled = disabled;
+    });
+    if (!disabled) {
+      this.renderChordLane();
+    }
+  }
+}
+
+function createEmptyDrums(stepCount) {
+  const drums = {};
+  MODAL_DATA.drumLanes.forEach(lane => {
+    drums[lane] = new Array(stepCount).fill(0);
+  });
+  return drums;
+}
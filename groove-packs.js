@@ -0,0 +1,364 @@
+// groove-packs.js - User grooves, groove pack import/export and validation
+
+import { MODAL_DATA, getMode, getRhythmicGrid } from './modal-data.js';
+
+export const GROOVE_PACK_FORMAT = 'modal-bass-trainer.groove-pack';
+export const GROOVE_PACK_VERSION = 2; // v2 added meter and subdivision
+
+const STORAGE_KEY = 'modalBassTrainer.userGrooves';
+const DENSITIES = ['sparse', 'medium', 'dense'];
+const VOICING_RANGE = { min: -12, max: 24 }; // Semitones relative to mode root
+const TEMPO_RANGE = { min: 30, max: 300 };
+
+// ===== USER GROOVES =====
+
+// Register saved user grooves on their modes (call after custom modes are loaded)
+export function loadUserGrooves() {
+  const saved = readStorage();
+  let count = 0;
+
+  Object.entries(saved).forEach(([modeId, grooves]) => {
+    if (!getMode(modeId)) {
+      console.warn(`Skipping user grooves for unknown mode "${modeId}"`);
+      return;
+    }
+    grooves.map(migrateGroove).forEach(groove => {
+      const errors = validateGroove(groove);
+      if (errors.length > 0) {
+        console.warn(`Skipping invalid user groove "${groove.id}":`, errors);
+        return;
+      }
+      registerGroove(modeId, groove);
+      count++;
+    });
+  });
+
+  return count;
+}
+
+// Validate and save a single user groove on a mode. Returns a list of error messages.
+export function saveUserGroove(modeId, groove) {
+  const mode = getMode(modeId);
+  if (!mode) {
+    return [`Unknown mode "${modeId}"`];
+  }
+
+  const errors = validateGroove(groove);
+  const clash = mode.grooves.find(g => g.id === groove.id && !g.user);
+  if (clash) {
+    errors.push(`Groove id "${groove.id}" is already used by a built-in ${mode.name} groove`);
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  registerGroove(modeId, groove);
+
+  const saved = readStorage();
+  saved[modeId] = (saved[modeId] || []).filter(g => g.id !== groove.id);
+  saved[modeId].push(stripUserFlag(groove));
+  writeStorage(saved);
+
+  return [];
+}
+
+export function deleteUserGroove(modeId, grooveId) {
+  const mode = getMode(modeId);
+  if (mode) {
+    mode.grooves = mode.grooves.filter(g => !(g.user && g.id === grooveId));
+  }
+
+  const saved = readStorage();
+  if (saved[modeId]) {
+    saved[modeId] = saved[modeId].filter(g => g.id !== grooveId);
+    if (saved[modeId].length === 0) delete saved[modeId];
+    writeStorage(saved);
+  }
+}
+
+function registerGroove(modeId, groove) {
+  const mode = getMode(modeId);
+  mode.grooves = mode.grooves.filter(g => !(g.user && g.id === groove.id));
+  mode.grooves.push({ ...groove, user: true });
+}
+
+// ===== IMPORT / EXPORT =====
+
+// Build a pack from the grooves of the given modes. userOnly limits it to user grooves.
+export function exportGroovePack(modeIds, name, userOnly = false) {
+  const entries = [];
+
+  modeIds.forEach(modeId => {
+    const mode = getMode(modeId);
+    if (!mode) return;
+    mode.grooves
+      .filter(groove => !userOnly || groove.user)
+      .forEach(groove => entries.push({ mode: modeId, groove: stripUserFlag(groove) }));
+  });
+
+  return {
+    format: GROOVE_PACK_FORMAT,
+    version: GROOVE_PACK_VERSION,
+    name: name,
+    exportedAt: new Date().toISOString(),
+    grooves: entries
+  };
+}
+
+// Parse, validate and save a pack. Nothing is imported if any entry is invalid; a groove that
+// still fails to save is reported without undoing the others. Returns { imported, skipped, errors }.
+export function importGroovePack(json) {
+  let pack;
+  try {
+    pack = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch (error) {
+    return { imported: 0, skipped: 0, errors: [`File is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateGroovePack(pack);
+  if (errors.length > 0) {
+    return { imported: 0, skipped: 0, errors };
+  }
+  pack = migrateGroovePack(pack);
+
+  // Copies of built-in grooves (e.g. from "Export Mode Grooves") are already here
+  const entries = pack.grooves.filter(({ mode, groove }) => !isBuiltInCopy(getMode(mode), groove));
+
+  const saveErrors = [];
+  let imported = 0;
+  entries.forEach(({ mode, groove }) => {
+    const grooveErrors = saveUserGroove(mode, groove);
+    grooveErrors.forEach(error => saveErrors.push(`${groove.id}: ${error}`));
+    if (grooveErrors.length === 0) imported++;
+  });
+
+  return {
+    imported,
+    skipped: pack.grooves.length - entries.length,
+    errors: saveErrors
+  };
+}
+
+function migrateGroovePack(pack) {
+  if (pack.version >= GROOVE_PACK_VERSION) return pack;
+  return {
+    ...pack,
+    version: GROOVE_PACK_VERSION,
+    grooves: pack.grooves.map(entry =>
+      entry && typeof entry === 'object' ? { ...entry, groove: migrateGroove(entry.groove) } : entry
+    )
+  };
+}
+
+export function validateGroovePack(pack) {
+  if (!pack || typeof pack !== 'object') {
+    return ['Groove pack must be a JSON object'];
+  }
+  if (pack.format !== GROOVE_PACK_FORMAT) {
+    return [`Not a groove pack (expected format "${GROOVE_PACK_FORMAT}")`];
+  }
+  if (!Number.isInteger(pack.version) || pack.version < 1) {
+    return ['Groove pack version is missing or invalid'];
+  }
+  if (pack.version > GROOVE_PACK_VERSION) {
+    return [`Groove pack version ${pack.version} is newer than this app supports (${GROOVE_PACK_VERSION})`];
+  }
+  if (!Array.isArray(pack.grooves) || pack.grooves.length === 0) {
+    return ['Groove pack contains no grooves'];
+  }
+
+  const errors = [];
+  migrateGroovePack(pack).grooves.forEach((entry, index) => {
+    const label = entry && entry.groove && entry.groove.id
+      ? `Groove "${entry.groove.id}"`
+      : `Groove ${index + 1}`;
+
+    const mode = entry && typeof entry.mode === 'string' ? getMode(entry.mode) : null;
+    if (!mode) {
+      errors.push(`${label}: targets unknown mode "${entry && entry.mode}"`);
+    } else if (entry.groove && findBuiltInClash(mode, entry.groove)) {
+      errors.push(`${label}: id is already used by a different built-in ${mode.name} groove`);
+    }
+    validateGroove(entry && entry.groove).forEach(error => errors.push(`${label}: ${error}`));
+  });
+
+  return errors;
+}
+
+function isBuiltInCopy(mode, groove) {
+  const builtIn = mode.grooves.find(g => g.id === groove.id && !g.user);
+  return Boolean(builtIn) && JSON.stringify(builtIn) === JSON.stringify(groove);
+}
+
+function findBuiltInClash(mode, groove) {
+  return mode.grooves.some(g => g.id === groove.id && !g.user) && !isBuiltInCopy(mode, groove);
+}
+
+// Check a groove definition. Returns a list of error messages.
+export function validateGroove(groove) {
+  const errors = [];
+
+  if (!groove || typeof groove !== 'object') {
+    return ['Groove must be an object'];
+  }
+
+  if (typeof groove.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(groove.id)) {
+    errors.push('id must be letters, numbers, "-" or "_"');
+  }
+  if (typeof groove.name !== 'string' || groove.name.trim() === '') {
+    errors.push('name is required');
+  }
+
+  // Pattern
+  const patternValid = Array.isArray(groove.pattern) &&
+    groove.pattern.length > 0 &&
+    groove.pattern.every(step => step === 0 || step === 1);
+  if (!patternValid) {
+    errors.push('pattern must be a non-empty list of 0s and 1s');
+  }
+
+  // Drums (optional)
+  if (groove.drums !== undefined) {
+    if (!groove.drums || typeof groove.drums !== 'object') {
+      errors.push('drums must be an object of lanes');
+    } else {
+      Object.entries(groove.drums).forEach(([lane, steps]) => {
+        if (!MODAL_DATA.drumLanes.includes(lane)) {
+          errors.push(`drums: unknown lane "${lane}" (use ${MODAL_DATA.drumLanes.join(', ')})`);
+        } else if (!Array.isArray(steps) || !steps.every(step => step === 0 || step === 1)) {
+          errors.push(`drums: ${lane} must be a list of 0s and 1s`);
+        } else if (patternValid && steps.length !== groove.pattern.length) {
+          errors.push(`drums: ${lane} has ${steps.length} steps but the pattern has ${groove.pattern.length}`);
+        }
+      });
+    }
+  }
+
+  // Rhythmic grid
+  const grid = getRhythmicGrid(groove);
+  if (!MODAL_DATA.meters[groove.meter]) {
+    errors.push(`meter must be one of ${Object.keys(MODAL_DATA.meters).join(', ')}`);
+  } else if (!MODAL_DATA.subdivisions[groove.subdivision]) {
+    errors.push(`subdivision must be one of ${Object.keys(MODAL_DATA.subdivisions).join(', ')}`);
+  } else if (!grid) {
+    errors.push(`${MODAL_DATA.subdivisions[groove.subdivision].name} do not divide a bar of ${groove.meter} evenly`);
+  }
+
+  // Chords
+  if (!Array.isArray(groove.chords) || groove.chords.length === 0) {
+    errors.push('at least one chord is required');
+  } else {
+    groove.chords.forEach((chord, index) => {
+      const where = `chord ${index + 1}`;
+      if (!chord || typeof chord !== 'object') {
+        errors.push(`${where}: must be an object`);
+        return;
+      }
+      if (!Number.isInteger(chord.root) || chord.root < VOICING_RANGE.min || chord.root > VOICING_RANGE.max) {
+        errors.push(`${where}: root must be a whole number of semitones from ${VOICING_RANGE.min} to ${VOICING_RANGE.max}`);
+      }
+      if (typeof chord.quality !== 'string' || chord.quality === '') {
+        errors.push(`${where}: quality is required`);
+      }
+      if (!Array.isArray(chord.voicing) || chord.voicing.length === 0) {
+        errors.push(`${where}: voicing must list at least one note`);
+      } else {
+        const outOfRange = chord.voicing.filter(note =>
+          !Number.isInteger(note) || note < VOICING_RANGE.min || note > VOICING_RANGE.max
+        );
+        if (outOfRange.length > 0) {
+          errors.push(`${where}: voicing notes ${outOfRange.join(', ')} are outside ${VOICING_RANGE.min} to ${VOICING_RANGE.max} semitones`);
+        }
+      }
+      if (typeof chord.duration !== 'number' || !(chord.duration > 0)) {
+        errors.push(`${where}: duration must be a positive number of beats`);
+      } else if (grid && !isWholeNumber(chord.duration * grid.stepsPerBeat)) {
+        errors.push(`${where}: a duration of ${chord.duration} beats does not land on a ${MODAL_DATA.subdivisions[groove.subdivision].name} step`);
+      }
+    });
+
+    // Pattern and chord progression must line up and loop on a bar line
+    const cycle = groove.chords.reduce((sum, chord) => sum + ((chord && chord.duration) || 0), 0);
+    if (patternValid && grid && cycle > 0) {
+      const chordSteps = Math.round(cycle * grid.stepsPerBeat);
+      const patternSteps = groove.pattern.length;
+      const loopSteps = Math.max(chordSteps, patternSteps);
+
+      if (loopSteps % chordSteps !== 0 || loopSteps % patternSteps !== 0) {
+        errors.push(`chord durations sum to ${cycle} beats (${chordSteps} steps), which does not line up with the ${patternSteps}-step pattern`);
+      } else if (loopSteps % grid.stepsPerBar !== 0) {
+        errors.push(`the groove loops after ${loopSteps} steps, which is not a whole number of ${groove.meter} bars (${grid.stepsPerBar} steps each)`);
+      }
+    }
+  }
+
+  // Feel
+  if (!Number.isFinite(groove.tempo) || groove.tempo < TEMPO_RANGE.min || groove.tempo > TEMPO_RANGE.max) {
+    errors.push(`tempo must be between ${TEMPO_RANGE.min} and ${TEMPO_RANGE.max} BPM`);
+  }
+  if (typeof groove.swing !== 'boolean') {
+    errors.push('swing must be true or false');
+  }
+  if (!DENSITIES.includes(groove.density)) {
+    errors.push(`density must be one of ${DENSITIES.join(', ')}`);
+  }
+  if (groove.description !== undefined && typeof groove.description !== 'string') {
+    errors.push('description must be text');
+  }
+
+  return errors;
+}
+
+// Bring older groove definitions up to the current shape.
+// Version 1 grooves played one pattern step per beat, which is quarter notes in 4/4.
+export function migrateGroove(groove) {
+  if (!groove || typeof groove !== 'object') return groove;
+  return {
+    ...groove,
+    meter: groove.meter || '4/4',
+    subdivision: groove.subdivision || 'quarter'
+  };
+}
+
+function isWholeNumber(value) {
+  return Math.abs(value - Math.round(value)) < 1e-6;
+}
+
+// ===== STORAGE =====
+
+function stripUserFlag(groove) {
+  const { user, ...definition } = groove;
+  return definition;
+}
+
+function readStorage() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const saved = raw ? JSON.parse(raw) : {};
+    // Anything but a mode id -> list of grooves map was not written by this module
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+      console.warn('Ignoring malformed user grooves in storage');
+      return {};
+    }
+    Object.entries(saved).forEach(([modeId, grooves]) => {
+      if (!Array.isArray(grooves)) {
+        console.warn(`Ignoring malformed user grooves for "${modeId}"`);
+        delete saved[modeId];
+        return;
+      }
+      saved[modeId] = grooves.filter(groove => groove && typeof groove === 'object');
+    });
+    return saved;
+  } catch (error) {
+    console.error('Failed to read user grooves:', error);
+    return {};
+  }
+}
+
+function writeStorage(grooves) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(grooves));
+  } catch (error) {
+    console.error('Failed to save user grooves:', error);
+  }
+}
@@ -0,0 +1,139 @@
+// latency-calibration.js - Measures how late played notes reach the app compared with the backing
+
+const STORAGE_KEY = 'modalBassTrainer.latencyOffsets';
+
+export const CALIBRATION_PULSES = 8;
+const PULSE_INTERVAL = 0.75; // seconds
+const LEAD_IN = 1; // seconds before the first pulse
+const MATCH_EARLY = 150; // ms a plucked-along note may come before its pulse
+const MATCH_LATE = 500; // ms a note may come after its pulse
+const MIN_MATCHES = 5;
+
+export class LatencyCalibration {
+  constructor(audioEngine, mediaStream = null) {
+    this.audioEngine = audioEngine;
+    this.mediaStream = mediaStream; // Audio input, for the round-trip estimate
+    this.pulseTimes = []; // Date.now() ms each pulse is heard
+    this.detections = []; // {time, reportedAt}: the note's start and when its detection came in, Date.now() ms
+    this.timer = null;
+    this.reject = null;
+    this.output = null; // Pulses go through this, so cancelling silences the ones still scheduled
+  }
+
+  // Play the pulses and resolve to {offset, roundTrip, detection, matches} in ms.
+  // Rejects if too few pulses were picked up.
+  run() {
+    const context = this.audioEngine.audioContext;
+    const start = context.currentTime + LEAD_IN;
+
+    this.pulseTimes = [];
+    this.detections = [];
+    this.output = context.createGain();
+    this.output.connect(this.audioEngine.masterGain);
+    for (let i = 0; i < CALIBRATION_PULSES; i++) {
+      const time = start + i * PULSE_INTERVAL;
+      this.audioEngine.playCalibrationPulse(time, this.output);
+      this.pulseTimes.push(Date.now() + (time - context.currentTime) * 1000);
+    }
+
+    const listenFor = LEAD_IN + (CALIBRATION_PULSES - 1) * PULSE_INTERVAL + MATCH_LATE / 1000;
+    return new Promise((resolve, reject) => {
+      this.reject = reject;
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.output.disconnect();
+        try {
+          resolve(this.measure());
+        } catch (error) {
+          reject(error);
+        }
+      }, listenFor * 1000);
+    });
+  }
+
+  onDetection(time, reportedAt = Date.now()) {
+    this.detections.push({ time, reportedAt });
+  }
+
+  cancel() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.output.disconnect();
+      this.reject(new Error('Calibration cancelled'));
+    }
+  }
+
+  measure() {
+    // First detection near each pulse; later ones are the same note ringing on
+    const delays = [];
+    const reportDelays = [];
+    this.pulseTimes.forEach(pulse => {
+      const match = this.detections.find(({ time }) => time >= pulse - MATCH_EARLY && time <= pulse + MATCH_LATE);
+      if (match !== undefined) {
+        delays.push(match.time - pulse);
+        reportDelays.push(match.reportedAt - match.time);
+      }
+    });
+
+    if (delays.length < MIN_MATCHES) {
+      throw new Error(`Only ${delays.length} of ${CALIBRATION_PULSES} pulses were picked up; check the input level and try again`);
+    }
+
+    return {
+      offset: Math.round(median(delays)),
+      roundTrip: Math.round(this.estimateRoundTrip()),
+      detection: Math.round(median(reportDelays)), // From a note's start to the app hearing of it
+      matches: delays.length
+    };
+  }
+
+  estimateRoundTrip() {
+    // What the browser reports for output plus input
+    const context = this.audioEngine.audioContext;
+    let seconds = (context.baseLatency || 0) + (context.outputLatency || 0);
+    if (this.mediaStream) {
+      const [track] = this.mediaStream.getAudioTracks();
+      const settings = track ? track.getSettings() : {};
+      seconds += settings.latency || 0;
+    }
+    return seconds * 1000;
+  }
+}
+
+// Stored offset for an input device, or 0 if it has not been calibrated
+export function loadLatencyOffset(deviceId) {
+  const saved = readStorage();
+  const entry = saved[deviceId || 'default'];
+  return entry ? entry.offset : 0;
+}
+
+export function saveLatencyOffset(deviceId, result) {
+  const saved = readStorage();
+  saved[deviceId || 'default'] = { ...result, calibratedAt: Date.now() };
+  writeStorage(saved);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function readStorage() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    console.error('Failed to read latency offsets:', error);
+    return {};
+  }
+}
+
+function writeStorage(offsets) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(offsets));
+  } catch (error) {
+    console.error('Failed to save latency offsets:', error);
+  }
+}
@@ -0,0 +1,142 @@
+// midi-input.js - MIDI note input (MIDI pickups, keyboards) in place of pitch detection
+
+import { NoteSegmenter } from './note-segmenter.js';
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const SILENT_LEVEL = -100; // dB shown on the input meter between notes
+
+// Input device dropdown values for MIDI ports carry this prefix
+export const MIDI_DEVICE_PREFIX = 'midi:';
+
+export function isMidiDeviceId(deviceId) {
+  return typeof deviceId === 'string' && deviceId.startsWith(MIDI_DEVICE_PREFIX);
+}
+
+export class MidiNoteInput {
+  constructor(onPitchDetected, onLevelUpdate, onNoteStart = null, onNoteEnd = null) {
+    this.access = null;
+    this.input = null;
+    this.audioContext = null; // Only read for timestamps, so notes share the audio input's clock
+    this.heldNotes = new Set();
+
+    // Same callbacks as BassPitchDetector
+    this.onPitchDetected = onPitchDetected; // (frequency, confidence, noteName, midiNote, cents, velocity, time)
+    this.onLevelUpdate = onLevelUpdate;     // (level) for input meter
+
+    // Note-on and note-off give the boundaries directly; the segmenter keeps one note at a time
+    this.segmenter = new NoteSegmenter(
+      (note) => onNoteStart && onNoteStart(note),
+      (note) => onNoteEnd && onNoteEnd(note),
+      SILENT_LEVEL
+    );
+
+    // State
+    this.isRunning = false;
+    this.mediaStream = null; // No audio to record from a MIDI port
+    this.source = null; // Nor any to monitor
+  }
+
+  static isSupported() {
+    return typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  // MIDI inputs in the same shape as enumerateDevices(), for the input dropdown.
+  // Takes access granted elsewhere (the MIDI panel) rather than prompting for it on page load.
+  static getAvailableDevices(access) {
+    if (!access) return [];
+
+    return Array.from(access.inputs.values()).map(port => ({
+      deviceId: MIDI_DEVICE_PREFIX + port.id,
+      kind: 'midiinput',
+      label: port.name
+    }));
+  }
+
+  async init(deviceId, audioContext = null) {
+    if (this.input) return true;
+    this.audioContext = audioContext;
+
+    try {
+      this.access = await navigator.requestMIDIAccess();
+      this.input = this.access.inputs.get(deviceId.slice(MIDI_DEVICE_PREFIX.length)) || null;
+      if (!this.input) {
+        console.error('MIDI input not found:', deviceId);
+        return false;
+      }
+
+      this.input.onmidimessage = (e) => this.onMessage(e.data, e.timeStamp);
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize MIDI input:', error);
+      return false;
+    }
+  }
+
+  start() {
+    this.isRunning = true;
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.heldNotes.clear();
+    this.segmenter.flush(this.getContextTime(performance.now()));
+  }
+
+  // Event timestamp (performance.now() clock) on the AudioContext clock, in seconds
+  getContextTime(timeStamp) {
+    if (!this.audioContext) return timeStamp / 1000;
+    return this.audioContext.currentTime - (performance.now() - timeStamp) / 1000;
+  }
+
+  onMessage(data, timeStamp = performance.now()) {
+    if (!this.isRunning) return;
+
+    const [status, note, velocity] = data;
+    const type = status & 0xF0;
+    const time = this.getContextTime(timeStamp);
+
+    // Note-on with velocity 0 is a note-off
+    if (type === NOTE_ON && velocity > 0) {
+      this.heldNotes.add(note);
+      if (this.onLevelUpdate) {
+        this.onLevelUpdate(velocityToLevel(velocity));
+      }
+      if (this.onPitchDetected) {
+        this.onPitchDetected(midiToFreq(note), 1, midiToNoteName(note), note, 0, velocity, time);
+      }
+      this.segmenter.noteOn(note, midiToFreq(note), velocity, time);
+    } else if (type === NOTE_OFF || type === NOTE_ON) {
+      this.heldNotes.delete(note);
+      this.segmenter.noteOff(note, time);
+      if (this.heldNotes.size === 0 && this.onLevelUpdate) {
+        this.onLevelUpdate(SILENT_LEVEL);
+      }
+    }
+  }
+
+  cleanup() {
+    this.stop();
+
+    if (this.input) {
+      this.input.onmidimessage = null;
+      this.input = null;
+    }
+    this.access = null;
+    this.audioContext = null;
+  }
+}
+
+function midiToFreq(midiNote) {
+  return 440 * Math.pow(2, (midiNote - 69) / 12);
+}
+
+function midiToNoteName(midiNote) {
+  const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+  return noteNames[midiNote % 12] + (Math.floor(midiNote / 12) - 1);
+}
+
+// Map velocity onto the meter's -70 to -10 dB range
+function velocityToLevel(velocity) {
+  return -70 + (velocity / 127) * 60;
+}
@@ -0,0 +1,112 @@
+// midi-output.js - Sends the backing's chords and clock to an external MIDI port
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xB0;
+const ALL_NOTES_OFF = 123;
+const CLOCK = 0xF8;
+const START = 0xFA;
+const STOP = 0xFC;
+
+export const CLOCK_PPQN = 24; // MIDI clock pulses per quarter note
+
+export class MidiOutput {
+  constructor() {
+    this.access = null;
+    this.output = null;
+    this.channel = 0; // 0-15 on the wire, shown as 1-16
+    this.velocity = 90;
+    this.sendClock = false;
+    this.audioContext = null; // Used to turn audio times into MIDI timestamps
+  }
+
+  static isSupported() {
+    return typeof navigator.requestMIDIAccess === 'function';
+  }
+
+  async init() {
+    if (this.access) return true;
+
+    try {
+      this.access = await navigator.requestMIDIAccess();
+      return true;
+    } catch (error) {
+      console.error('MIDI access error:', error);
+      return false;
+    }
+  }
+
+  getPorts() {
+    if (!this.access) return [];
+    return Array.from(this.access.outputs.values()).map(port => ({id: port.id, name: port.name}));
+  }
+
+  setPort(portId) {
+    this.allNotesOff();
+    this.output = portId && this.access ? this.access.outputs.get(portId) || null : null;
+  }
+
+  setChannel(channel) {
+    // channel: 1-16
+    this.allNotesOff();
+    this.channel = channel - 1;
+  }
+
+  setSendClock(enabled) {
+    this.sendClock = enabled;
+  }
+
+  get isActive() {
+    return this.output !== null;
+  }
+
+  // ===== NOTES =====
+
+  playChord(notes, time, duration) {
+    // notes: MIDI note numbers; time/duration in AudioContext seconds
+    if (!this.output) return;
+
+    const status = this.channel;
+    notes.forEach(note => {
+      this.send([NOTE_ON | status, note, this.velocity], time);
+      this.send([NOTE_OFF | status, note, 0], time + duration);
+    });
+  }
+
+  allNotesOff() {
+    if (!this.output) return;
+
+    // Drop queued note-ons where the browser allows it, then silence anything held
+    if (typeof this.output.clear === 'function') {
+      this.output.clear();
+    }
+    this.output.send([CONTROL_CHANGE | this.channel, ALL_NOTES_OFF, 0]);
+  }
+
+  // ===== CLOCK =====
+
+  sendClockPulses(time, duration, pulses) {
+    // Spread pulses evenly over a step that starts at time
+    if (!this.output || !this.sendClock) return;
+
+    for (let i = 0; i < pulses; i++) {
+      this.send([CLOCK], time + i * duration / pulses);
+    }
+  }
+
+  sendStart(time) {
+    if (!this.output || !this.sendClock) return;
+    this.send([START], time);
+  }
+
+  sendStop() {
+    if (!this.output || !this.sendClock) return;
+    this.output.send([STOP]);
+  }
+
+  send(message, time) {
+    // Web MIDI timestamps are on the performance.now() clock
+    const delay = (time - this.audioContext.currentTime) * 1000;
+    this.output.send(message, performance.now() + Math.max(0, delay));
+  }
+}
@@ -0,0 +1,106 @@
+// mixer.js - Channel strips (gain, pan, mute/solo) feeding the engine's master volume
+
+// Strips in display order. Drums, phrase and demo notes ride on the chords strip.
+export const MIXER_CHANNELS = [
+  {id: 'bass', name: 'Bass Monitor', gain: 1, muted: true}, // Off by default: most players monitor directly
+  {id: 'drone', name: 'Drone', gain: 1, muted: false},
+  {id: 'chords', name: 'Chords', gain: 1, muted: false},
+  {id: 'click', name: 'Click', gain: 1, muted: false}
+];
+
+// Channels that make up the backing, as opposed to the player's own input
+export const BACKING_CHANNELS = ['drone', 'chords', 'click'];
+
+export class Mixer {
+  constructor(audioContext, destination) {
+    this.audioContext = audioContext;
+    this.strips = {};
+
+    MIXER_CHANNELS.forEach(channel => {
+      const input = audioContext.createGain();
+      const fader = audioContext.createGain();
+      const panner = audioContext.createStereoPanner();
+
+      input.connect(fader);
+      fader.connect(panner);
+      panner.connect(destination);
+
+      this.strips[channel.id] = {
+        input,
+        fader,
+        panner,
+        gain: channel.gain,
+        pan: 0,
+        muted: channel.muted,
+        soloed: false
+      };
+    });
+
+    this.applyLevels();
+  }
+
+  // Node that sources for a channel connect to
+  getInput(channelId) {
+    return this.strips[channelId].input;
+  }
+
+  // Post-pan output of a channel, for taps such as session recording
+  getOutput(channelId) {
+    return this.strips[channelId].panner;
+  }
+
+  setGain(channelId, gain) {
+    // gain: 0.0 to 1.5
+    this.strips[channelId].gain = gain;
+    this.applyLevels();
+  }
+
+  setPan(channelId, pan) {
+    // pan: -1 (left) to 1 (right)
+    const strip = this.strips[channelId];
+    strip.pan = pan;
+    strip.panner.pan.setValueAtTime(pan, this.audioContext.currentTime);
+  }
+
+  setMuted(channelId, muted) {
+    this.strips[channelId].muted = muted;
+    this.applyLevels();
+  }
+
+  setSoloed(channelId, soloed) {
+    this.strips[channelId].soloed = soloed;
+    this.applyLevels();
+  }
+
+  isAudible(channelId) {
+    const strip = this.strips[channelId];
+    const anySoloed = Object.values(this.strips).some(s => s.soloed);
+    return !strip.muted && (!anySoloed || strip.soloed);
+  }
+
+  applyLevels() {
+    // Short ramp so mute and solo don't click
+    const now = this.audioContext.currentTime;
+    Object.entries(this.strips).forEach(([channelId, strip]) => {
+      const level = this.isAudible(channelId) ? strip.gain : 0;
+      strip.fader.gain.setTargetAtTime(level, now, 0.01);
+    });
+  }
+
+  getSettings() {
+    const settings = {};
+    Object.entries(this.strips).forEach(([channelId, strip]) => {
+      settings[channelId] = {gain: strip.gain, pan: strip.pan, muted: strip.muted, soloed: strip.soloed};
+    });
+    return settings;
+  }
+
+  applySettings(settings) {
+    Object.entries(settings).forEach(([channelId, strip]) => {
+      if (!this.strips[channelId]) return;
+      Object.assign(this.strips[channelId], {gain: strip.gain, muted: strip.muted, soloed: strip.soloed});
+      this.setPan(channelId, strip.pan);
+    });
+    this.applyLevels();
+  }
+}
@@ -3,8 +3,89 @@ export const MODAL_DATA = {
   // Mode definitions
   modes: {
     
+    ionian: {
+      name: "Ionian",
+      family: 'church',
+      intervals: [
+        {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
+        {degree: '2', semitones: 2, color: 'neutral', label: 'Major 2nd'},
+        {degree: '3', semitones: 4, color: 'characteristic', label: 'Major 3rd'},
+        {degree: '4', semitones: 5, color: 'neutral', label: 'Perfect 4th'},
+        {degree: '5', semitones: 7, color: 'stable', label: 'Perfect 5th'},
+        {degree: '6', semitones: 9, color: 'neutral', label: 'Major 6th'},
+        {degree: '7', semitones: 11, color: 'characteristic', label: 'Major 7th'}
+      ],
+      avoidNotes: [
+        {degree: 'b7', semitones: 10, color: 'avoid', reason: 'Minor 7th turns the sound Mixolydian'},
+        {degree: 'b3', semitones: 3, color: 'avoid', reason: 'Minor 3rd contradicts the major tonic'}
+      ],
+      description: "The major scale - bright, resolved and familiar",
+      
+      grooves: [
+        {
+          id: 'ionian_pad',
+          name: "Major Pad",
+          chords: [
+            {root: 0, quality: 'maj7', voicing: [0, 4, 7, 11], duration: 4}
+          ],
+          pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
+          tempo: 72,
+          swing: false,
+          density: 'sparse',
+          description: "Open major 7th - hear the 3 and 7 ring"
+        },
+        {
+          id: 'ionian_pop',
+          name: "I-IV Pop",
+          chords: [
+            {root: 0, quality: 'maj', voicing: [0, 4, 7], duration: 2},
+            {root: 5, quality: 'maj', voicing: [5, 9, 12], duration: 2} // IV chord
+          ],
+          pattern: [1, 0, 1, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Backbeat
+            kick: [1, 0, 1, 0],
+            snare: [0, 1, 0, 1],
+            hihat: [1, 1, 1, 1]
+          },
+          tempo: 96,
+          swing: false,
+          density: 'medium',
+          description: "Singable pop movement - land on the 3rd"
+        },
+        {
+          id: 'ionian_soul',
+          name: "Soul Groove",
+          chords: [
+            {root: 0, quality: 'maj9', voicing: [0, 4, 7, 11, 14], duration: 4}
+          ],
+          pattern: [1, 0, 0, 1, 0, 1, 0, 0], // Anticipated 8ths
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Soul backbeat
+            kick: [1, 0, 0, 1, 0, 0, 0, 0],
+            snare: [0, 0, 1, 0, 0, 0, 1, 0],
+            hihat: [1, 1, 1, 1, 1, 1, 1, 1]
+          },
+          tempo: 92,
+          swing: false,
+          density: 'medium',
+          description: "Warm maj9 stabs - relaxed pocket"
+        }
+      ]
+    },
+    
     dorian: {
       name: "Dorian",
+      family: 'church',
       intervals: [
         {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
         {degree: '2', semitones: 2, color: 'neutral', label: 'Major 2nd'},
@@ -27,6 +108,13 @@ export const MODAL_DATA = {
             {root: 0, quality: 'm7', voicing: [0, 3, 7, 10], duration: 4}
           ],
           pattern: [1, 0, 0, 0], // Whole notes, beat 1 only
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
           tempo: 80,
           swing: false,
           density: 'sparse',
@@ -36,9 +124,16 @@ export const MODAL_DATA = {
           id: 'dorian_funk',
           name: "Funk Vamp",
           chords: [
-            {root: 0, quality: 'm9', voicing: [0, 3, 7, 10, 14], duration: 1}
+            {root: 0, quality: 'm9', voicing: [0, 3, 7, 10, 14], duration: 4}
           ],
           pattern: [1, 0, 1, 0, 0, 1, 0, 1], // Syncopated 8th notes
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Funk beat
+            kick: [1, 0, 0, 1, 0, 1, 0, 0],
+            snare: [0, 0, 1, 0, 0, 0, 1, 0],
+            hihat: [1, 1, 1, 1, 1, 1, 1, 1]
+          },
           tempo: 100,
           swing: false,
           density: 'medium',
@@ -52,6 +147,13 @@ export const MODAL_DATA = {
             {root: 2, quality: 'm7', voicing: [2, 5, 9, 12], duration: 2}
           ],
           pattern: [1, 0, 1, 0], // Half notes
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
           tempo: 75,
           swing: false,
           density: 'sparse',
@@ -61,19 +163,46 @@ export const MODAL_DATA = {
           id: 'dorian_sowhat',
           name: "So What",
           chords: [
-            {root: 0, quality: 'm11', voicing: [0, 7, 10, 14, 17], duration: 1.5}
+            {root: 0, quality: 'm11', voicing: [0, 7, 10, 14, 17], duration: 4}
           ],
-          pattern: [1, 0, 0, 1, 0, 0], // Dotted quarter feel
+          pattern: [1, 0, 0, 1, 0, 0, 1, 0], // Dotted quarter feel
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Jazz swing ride
+            kick: [1, 0, 0, 0, 0, 0, 0, 0],
+            hihat: [0, 0, 1, 0, 0, 0, 1, 0],
+            ride: [1, 0, 1, 1, 1, 0, 1, 1]
+          },
           tempo: 135,
           swing: true,
           density: 'medium',
           description: "Jazz swing - Miles Davis style"
+        },
+        {
+          id: 'dorian_fivefour',
+          name: "Five-Four Vamp",
+          chords: [
+            {root: 0, quality: 'm7', voicing: [0, 3, 7, 10], duration: 5}
+          ],
+          pattern: [1, 0, 0, 1, 0, 0, 1, 0, 1, 0], // 3+3+2+2 comping
+          meter: '5/4',
+          subdivision: '8th',
+          drums: { // 5/4 jazz ride
+            kick: [1, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+            hihat: [0, 0, 1, 0, 0, 0, 1, 0, 0, 0],
+            ride: [1, 0, 1, 1, 1, 0, 1, 1, 1, 0]
+          },
+          tempo: 110,
+          swing: true,
+          density: 'medium',
+          description: "Odd-meter jazz - Take Five feel"
         }
       ]
     },
     
     phrygian: {
       name: "Phrygian",
+      family: 'church',
       intervals: [
         {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
         {degree: 'b2', semitones: 1, color: 'characteristic', label: 'Minor 2nd'},
@@ -97,6 +226,12 @@ export const MODAL_DATA = {
             {root: 0, quality: 'm', voicing: [0, 3, 7], duration: 4}
           ],
           pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Sparse pulse
+            kick: [1, 0, 0, 0],
+            ride: [1, 0, 1, 0]
+          },
           tempo: 70,
           swing: false,
           density: 'sparse',
@@ -109,8 +244,14 @@ export const MODAL_DATA = {
             {root: 0, quality: 'm', voicing: [0, 3, 7], duration: 2},
             {root: 1, quality: 'maj', voicing: [1, 5, 8], duration: 2} // bII chord
           ],
-          pattern: [1, 0, 1, 0],
-          tempo: 95,
+          pattern: [1, 0, 0, 1, 0, 0, 1, 0, 1, 0, 1, 0], // 12-beat compas accents
+          meter: '12/8',
+          subdivision: '8th',
+          drums: { // Palmas on the accents
+            kick: [1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
+            hihat: [1, 0, 0, 1, 0, 0, 1, 0, 1, 0, 1, 0]
+          },
+          tempo: 80,
           swing: false,
           density: 'medium',
           description: "Spanish flavor - emphasizes b2 relationship"
@@ -119,9 +260,16 @@ export const MODAL_DATA = {
           id: 'phrygian_metal',
           name: "Metal Riff",
           chords: [
-            {root: 0, quality: '5', voicing: [0, 7], duration: 1}
+            {root: 0, quality: '5', voicing: [0, 7], duration: 4}
           ],
           pattern: [1, 0, 0, 1, 1, 0, 1, 0], // Driving 8ths
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Riff-locked kick
+            kick: [1, 0, 0, 1, 1, 0, 1, 0],
+            snare: [0, 0, 1, 0, 0, 0, 1, 0],
+            ride: [1, 0, 1, 0, 1, 0, 1, 0]
+          },
           tempo: 120,
           swing: false,
           density: 'dense',
@@ -132,6 +280,7 @@ export const MODAL_DATA = {
     
     lydian: {
       name: "Lydian",
+      family: 'church',
       intervals: [
         {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
         {degree: '2', semitones: 2, color: 'neutral', label: 'Major 2nd'},
@@ -154,6 +303,12 @@ export const MODAL_DATA = {
             {root: 0, quality: 'maj7', voicing: [0, 4, 7, 11], duration: 4}
           ],
           pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Sparse pulse
+            kick: [1, 0, 0, 0],
+            ride: [1, 0, 1, 0]
+          },
           tempo: 75,
           swing: false,
           density: 'sparse',
@@ -163,9 +318,16 @@ export const MODAL_DATA = {
           id: 'lydian_bossa',
           name: "Bossa Nova",
           chords: [
-            {root: 0, quality: 'maj9', voicing: [0, 4, 7, 11, 14], duration: 2}
+            {root: 0, quality: 'maj9', voicing: [0, 4, 7, 11, 14], duration: 4}
           ],
           pattern: [1, 0, 1, 1, 0, 1, 0, 0],
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Bossa nova
+            kick: [1, 0, 0, 1, 1, 0, 0, 1],
+            snare: [0, 0, 0, 1, 0, 0, 1, 0],
+            hihat: [1, 1, 1, 1, 1, 1, 1, 1]
+          },
           tempo: 110,
           swing: false,
           density: 'medium',
@@ -179,6 +341,13 @@ export const MODAL_DATA = {
             {root: 2, quality: 'maj7', voicing: [2, 6, 9, 13], duration: 2} // II chord
           ],
           pattern: [1, 0, 1, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
           tempo: 85,
           swing: false,
           density: 'sparse',
@@ -189,6 +358,7 @@ export const MODAL_DATA = {
     
     mixolydian: {
       name: "Mixolydian",
+      family: 'church',
       intervals: [
         {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
         {degree: '2', semitones: 2, color: 'neutral', label: 'Major 2nd'},
@@ -211,6 +381,13 @@ export const MODAL_DATA = {
             {root: 0, quality: '7', voicing: [0, 4, 7, 10], duration: 4}
           ],
           pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
           tempo: 90,
           swing: false,
           density: 'sparse',
@@ -220,9 +397,16 @@ export const MODAL_DATA = {
           id: 'mixo_rock',
           name: "Rock Groove",
           chords: [
-            {root: 0, quality: '7', voicing: [0, 4, 7, 10], duration: 1}
+            {root: 0, quality: '7', voicing: [0, 4, 7, 10], duration: 4}
           ],
           pattern: [1, 0, 1, 0, 1, 1, 0, 1],
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Rock beat
+            kick: [1, 0, 0, 0, 1, 1, 0, 0],
+            snare: [0, 0, 1, 0, 0, 0, 1, 0],
+            hihat: [1, 1, 1, 1, 1, 1, 1, 1]
+          },
           tempo: 115,
           swing: false,
           density: 'medium',
@@ -236,6 +420,13 @@ export const MODAL_DATA = {
             {root: -2, quality: 'maj', voicing: [-2, 2, 5], duration: 2} // bVII
           ],
           pattern: [1, 0, 1, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Backbeat
+            kick: [1, 0, 1, 0],
+            snare: [0, 1, 0, 1],
+            hihat: [1, 1, 1, 1]
+          },
           tempo: 100,
           swing: false,
           density: 'medium',
@@ -245,18 +436,626 @@ export const MODAL_DATA = {
           id: 'mixo_shuffle',
           name: "Blues Shuffle",
           chords: [
-            {root: 0, quality: '7', voicing: [0, 4, 7, 10], duration: 1.5}
+            {root: 0, quality: '7', voicing: [0, 4, 7, 10], duration: 4}
           ],
-          pattern: [1, 0, 0, 1, 0, 0],
+          pattern: [1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1], // Long-short shuffle
+          meter: '12/8',
+          subdivision: '8th',
+          drums: { // Shuffle
+            kick: [1, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0],
+            snare: [0, 0, 0, 1, 0, 0, 0, 0, 0, 1, 0, 0],
+            ride: [1, 0, 1, 1, 0, 1, 1, 0, 1, 1, 0, 1]
+          },
           tempo: 125,
-          swing: true,
+          swing: false, // Triplet grid already swings
           density: 'medium',
           description: "Swing feel - blues context"
         }
       ]
+    },
+    
+    aeolian: {
+      name: "Aeolian",
+      family: 'church',
+      intervals: [
+        {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
+        {degree: '2', semitones: 2, color: 'neutral', label: 'Major 2nd'},
+        {degree: 'b3', semitones: 3, color: 'neutral', label: 'Minor 3rd'},
+        {degree: '4', semitones: 5, color: 'neutral', label: 'Perfect 4th'},
+        {degree: '5', semitones: 7, color: 'stable', label: 'Perfect 5th'},
+        {degree: 'b6', semitones: 8, color: 'characteristic', label: 'Minor 6th'},
+        {degree: 'b7', semitones: 10, color: 'neutral', label: 'Minor 7th'}
+      ],
+      avoidNotes: [
+        {degree: '6', semitones: 9, color: 'avoid', reason: 'Major 6th turns the sound Dorian'},
+        {degree: 'b2', semitones: 1, color: 'avoid', reason: 'Minor 2nd darkens it into Phrygian'}
+      ],
+      description: "Natural minor - melancholic, the b6 sets it apart",
+      
+      grooves: [
+        {
+          id: 'aeolian_ballad',
+          name: "Minor Ballad",
+          chords: [
+            {root: 0, quality: 'm7', voicing: [0, 3, 7, 10], duration: 4}
+          ],
+          pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
+          tempo: 70,
+          swing: false,
+          density: 'sparse',
+          description: "Slow and spacious - lean on the b6"
+        },
+        {
+          id: 'aeolian_epic',
+          name: "i-bVI-bVII",
+          chords: [
+            {root: 0, quality: 'm', voicing: [0, 3, 7], duration: 2},
+            {root: 8, quality: 'maj', voicing: [8, 12, 15], duration: 1}, // bVI
+            {root: 10, quality: 'maj', voicing: [10, 14, 17], duration: 1} // bVII
+          ],
+          pattern: [1, 0, 1, 1],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Backbeat
+            kick: [1, 0, 1, 0],
+            snare: [0, 1, 0, 1],
+            hihat: [1, 1, 1, 1]
+          },
+          tempo: 100,
+          swing: false,
+          density: 'medium',
+          description: "Epic rock cadence - built on the b6"
+        },
+        {
+          id: 'aeolian_hiphop',
+          name: "Minor Groove",
+          chords: [
+            {root: 0, quality: 'm7', voicing: [0, 3, 7, 10], duration: 4}
+          ],
+          pattern: [1, 0, 0, 1, 0, 0, 1, 0], // 3-3-2 syncopation
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Boom-bap
+            kick: [1, 0, 0, 0, 0, 1, 0, 0],
+            snare: [0, 0, 1, 0, 0, 0, 1, 0],
+            hihat: [1, 1, 1, 1, 1, 1, 1, 1]
+          },
+          tempo: 88,
+          swing: false,
+          density: 'medium',
+          description: "Laid-back syncopation - head-nod feel"
+        }
+      ]
+    },
+    
+    locrian: {
+      name: "Locrian",
+      family: 'church',
+      intervals: [
+        {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
+        {degree: 'b2', semitones: 1, color: 'characteristic', label: 'Minor 2nd'},
+        {degree: 'b3', semitones: 3, color: 'neutral', label: 'Minor 3rd'},
+        {degree: '4', semitones: 5, color: 'neutral', label: 'Perfect 4th'},
+        {degree: 'b5', semitones: 6, color: 'characteristic', label: 'Diminished 5th'},
+        {degree: 'b6', semitones: 8, color: 'neutral', label: 'Minor 6th'},
+        {degree: 'b7', semitones: 10, color: 'neutral', label: 'Minor 7th'}
+      ],
+      avoidNotes: [
+        {degree: '5', semitones: 7, color: 'avoid', reason: 'Perfect 5th cancels the diminished quality'},
+        {degree: '2', semitones: 2, color: 'avoid', reason: 'Major 2nd turns it into Locrian #2'}
+      ],
+      description: "Unstable half-diminished mode - tense and unresolved",
+      
+      grooves: [
+        {
+          id: 'locrian_dark',
+          name: "Half-Diminished Pad",
+          chords: [
+            {root: 0, quality: 'm7b5', voicing: [0, 3, 6, 10], duration: 4}
+          ],
+          pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Sparse pulse
+            kick: [1, 0, 0, 0],
+            ride: [1, 0, 1, 0]
+          },
+          tempo: 65,
+          swing: false,
+          density: 'sparse',
+          description: "Suspended unease - let the b5 hang"
+        },
+        {
+          id: 'locrian_metal',
+          name: "Tritone Riff",
+          chords: [
+            {root: 0, quality: 'dim', voicing: [0, 3, 6], duration: 3.5}
+          ],
+          pattern: [1, 0, 1, 0, 1, 0, 0], // 2+2+3 grouping
+          meter: '7/8',
+          subdivision: '8th',
+          drums: { // 7/8 groove
+            kick: [1, 0, 1, 0, 0, 0, 0],
+            snare: [0, 0, 0, 0, 1, 0, 0],
+            hihat: [1, 1, 1, 1, 1, 1, 1]
+          },
+          tempo: 125,
+          swing: false,
+          density: 'dense',
+          description: "Lopsided 7/8 - tritone power"
+        },
+        {
+          id: 'locrian_bII',
+          name: "bII Pull",
+          chords: [
+            {root: 0, quality: 'm7b5', voicing: [0, 3, 6, 10], duration: 2},
+            {root: 1, quality: 'maj7', voicing: [1, 5, 8, 12], duration: 2} // bII chord
+          ],
+          pattern: [1, 0, 1, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
+          tempo: 80,
+          swing: false,
+          density: 'sparse',
+          description: "Half-step shadow - emphasizes b2 and b5"
+        }
+      ]
+    },
+    
+    lydian_dominant: {
+      name: "Lydian Dominant",
+      family: 'melodic_minor',
+      intervals: [
+        {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
+        {degree: '2', semitones: 2, color: 'neutral', label: 'Major 2nd'},
+        {degree: '3', semitones: 4, color: 'neutral', label: 'Major 3rd'},
+        {degree: '#4', semitones: 6, color: 'characteristic', label: 'Augmented 4th'},
+        {degree: '5', semitones: 7, color: 'stable', label: 'Perfect 5th'},
+        {degree: '6', semitones: 9, color: 'neutral', label: 'Major 6th'},
+        {degree: 'b7', semitones: 10, color: 'characteristic', label: 'Minor 7th'}
+      ],
+      avoidNotes: [
+        {degree: '4', semitones: 5, color: 'avoid', reason: 'Perfect 4th clashes with the major 3rd'},
+        {degree: '7', semitones: 11, color: 'avoid', reason: 'Major 7th loses the dominant pull'}
+      ],
+      description: "Dominant with #11 - bright, open fusion sound",
+      
+      grooves: [
+        {
+          id: 'lyddom_vamp',
+          name: "7#11 Vamp",
+          chords: [
+            {root: 0, quality: '7#11', voicing: [0, 4, 7, 10, 18], duration: 4}
+          ],
+          pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
+          tempo: 85,
+          swing: false,
+          density: 'sparse',
+          description: "Shimmering dominant - feature the #4"
+        },
+        {
+          id: 'lyddom_funk',
+          name: "Fusion Funk",
+          chords: [
+            {root: 0, quality: '9#11', voicing: [0, 4, 10, 14, 18], duration: 4}
+          ],
+          pattern: [1, 0, 1, 0, 0, 1, 0, 1], // Syncopated 8ths
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Funk beat
+            kick: [1, 0, 0, 1, 0, 0, 1, 0],
+            snare: [0, 0, 1, 0, 0, 0, 1, 0],
+            hihat: [1, 1, 1, 1, 1, 1, 1, 1]
+          },
+          tempo: 105,
+          swing: false,
+          density: 'medium',
+          description: "Tight fusion stabs - #11 on top"
+        },
+        {
+          id: 'lyddom_lift',
+          name: "I7-II7 Lift",
+          chords: [
+            {root: 0, quality: '7#11', voicing: [0, 4, 10, 18], duration: 2},
+            {root: 2, quality: '7', voicing: [2, 6, 9, 12], duration: 2} // II7 chord
+          ],
+          pattern: [1, 0, 1, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Backbeat
+            kick: [1, 0, 1, 0],
+            snare: [0, 1, 0, 1],
+            hihat: [1, 1, 1, 1]
+          },
+          tempo: 90,
+          swing: false,
+          density: 'medium',
+          description: "Whole-step lift - spells out the #4"
+        }
+      ]
+    },
+    
+    phrygian_dominant: {
+      name: "Phrygian Dominant",
+      family: 'harmonic_minor',
+      intervals: [
+        {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
+        {degree: 'b2', semitones: 1, color: 'characteristic', label: 'Minor 2nd'},
+        {degree: '3', semitones: 4, color: 'characteristic', label: 'Major 3rd'},
+        {degree: '4', semitones: 5, color: 'neutral', label: 'Perfect 4th'},
+        {degree: '5', semitones: 7, color: 'stable', label: 'Perfect 5th'},
+        {degree: 'b6', semitones: 8, color: 'neutral', label: 'Minor 6th'},
+        {degree: 'b7', semitones: 10, color: 'neutral', label: 'Minor 7th'}
+      ],
+      avoidNotes: [
+        {degree: 'b3', semitones: 3, color: 'avoid', reason: 'Minor 3rd turns it back into Phrygian'},
+        {degree: '2', semitones: 2, color: 'avoid', reason: 'Major 2nd removes the exotic b2'}
+      ],
+      description: "Harmonic minor's 5th mode - flamenco and klezmer fire",
+      
+      grooves: [
+        {
+          id: 'phrydom_vamp',
+          name: "7b9 Vamp",
+          chords: [
+            {root: 0, quality: '7b9', voicing: [0, 4, 7, 10, 13], duration: 4}
+          ],
+          pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Sparse pulse
+            kick: [1, 0, 0, 0],
+            ride: [1, 0, 1, 0]
+          },
+          tempo: 80,
+          swing: false,
+          density: 'sparse',
+          description: "Static dominant b9 - savour the b2-3 gap"
+        },
+        {
+          id: 'phrydom_bII',
+          name: "bII Cadence",
+          chords: [
+            {root: 0, quality: 'maj', voicing: [0, 4, 7], duration: 2},
+            {root: 1, quality: 'maj', voicing: [1, 5, 8], duration: 2} // bII chord
+          ],
+          pattern: [1, 0, 1, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Backbeat
+            kick: [1, 0, 1, 0],
+            snare: [0, 1, 0, 1],
+            hihat: [1, 1, 1, 1]
+          },
+          tempo: 96,
+          swing: false,
+          density: 'medium',
+          description: "Flamenco cadence - major tonic over b2"
+        },
+        {
+          id: 'phrydom_freygish',
+          name: "Freygish Dance",
+          chords: [
+            {root: 0, quality: 'maj', voicing: [0, 4, 7], duration: 2},
+            {root: 5, quality: 'm', voicing: [5, 8, 12], duration: 2} // iv chord
+          ],
+          pattern: [1, 0, 1, 1, 1, 0, 1, 1], // Driving dance 8ths
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Oom-pah dance
+            kick: [1, 0, 0, 0, 1, 0, 0, 0],
+            snare: [0, 0, 1, 0, 0, 0, 1, 0],
+            hihat: [0, 1, 0, 1, 0, 1, 0, 1]
+          },
+          tempo: 130,
+          swing: false,
+          density: 'dense',
+          description: "Klezmer dance - fast and bright"
+        }
+      ]
+    },
+    
+    altered: {
+      name: "Altered",
+      family: 'melodic_minor',
+      intervals: [
+        {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
+        {degree: 'b9', semitones: 1, color: 'characteristic', label: 'Flat 9th'},
+        {degree: '#9', semitones: 3, color: 'characteristic', label: 'Sharp 9th'},
+        {degree: '3', semitones: 4, color: 'neutral', label: 'Major 3rd'},
+        {degree: '#11', semitones: 6, color: 'characteristic', label: 'Sharp 11th'},
+        {degree: 'b13', semitones: 8, color: 'characteristic', label: 'Flat 13th'},
+        {degree: 'b7', semitones: 10, color: 'neutral', label: 'Minor 7th'}
+      ],
+      avoidNotes: [
+        {degree: '5', semitones: 7, color: 'avoid', reason: 'Natural 5th dilutes the altered tension'},
+        {degree: '9', semitones: 2, color: 'avoid', reason: 'Natural 9th cancels the altered 9ths'}
+      ],
+      description: "Super Locrian - every tension altered, built to resolve",
+      
+      grooves: [
+        {
+          id: 'altered_tension',
+          name: "7alt Tension",
+          chords: [
+            {root: 0, quality: '7alt', voicing: [0, 4, 10, 15, 20], duration: 4}
+          ],
+          pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Sparse pulse
+            kick: [1, 0, 0, 0],
+            ride: [1, 0, 1, 0]
+          },
+          tempo: 75,
+          swing: false,
+          density: 'sparse',
+          description: "Sustained 7#9b13 - sit in the tension"
+        },
+        {
+          id: 'altered_tritone',
+          name: "Tritone Pair",
+          chords: [
+            {root: 0, quality: '7alt', voicing: [0, 4, 10, 13, 20], duration: 2},
+            {root: 6, quality: '7', voicing: [6, 10, 13, 16], duration: 2} // Tritone substitute
+          ],
+          pattern: [1, 0, 1, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
+          tempo: 88,
+          swing: false,
+          density: 'medium',
+          description: "Dominant and its tritone sub share the scale"
+        },
+        {
+          id: 'altered_swing',
+          name: "Swing Alt",
+          chords: [
+            {root: 0, quality: '7#9', voicing: [0, 4, 10, 15], duration: 4}
+          ],
+          pattern: [1, 0, 0, 1, 0, 0, 1, 0], // Dotted quarter feel
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Jazz swing ride
+            kick: [1, 0, 0, 0, 0, 0, 0, 0],
+            hihat: [0, 0, 1, 0, 0, 0, 1, 0],
+            ride: [1, 0, 1, 1, 1, 0, 1, 1]
+          },
+          tempo: 140,
+          swing: true,
+          density: 'medium',
+          description: "Bebop swing - target b9 and #9"
+        }
+      ]
+    },
+    
+    locrian_sharp2: {
+      name: "Locrian #2",
+      family: 'melodic_minor',
+      intervals: [
+        {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
+        {degree: '2', semitones: 2, color: 'characteristic', label: 'Major 2nd'},
+        {degree: 'b3', semitones: 3, color: 'neutral', label: 'Minor 3rd'},
+        {degree: '4', semitones: 5, color: 'neutral', label: 'Perfect 4th'},
+        {degree: 'b5', semitones: 6, color: 'characteristic', label: 'Diminished 5th'},
+        {degree: 'b6', semitones: 8, color: 'neutral', label: 'Minor 6th'},
+        {degree: 'b7', semitones: 10, color: 'neutral', label: 'Minor 7th'}
+      ],
+      avoidNotes: [
+        {degree: '5', semitones: 7, color: 'avoid', reason: 'Perfect 5th cancels the half-diminished sound'},
+        {degree: 'b2', semitones: 1, color: 'avoid', reason: 'Minor 2nd turns it back into Locrian'}
+      ],
+      description: "Half-diminished with a natural 9 - smoother than Locrian",
+      
+      grooves: [
+        {
+          id: 'loc2_float',
+          name: "m9b5 Float",
+          chords: [
+            {root: 0, quality: 'm9b5', voicing: [0, 3, 6, 10, 14], duration: 4}
+          ],
+          pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Sparse pulse
+            kick: [1, 0, 0, 0],
+            ride: [1, 0, 1, 0]
+          },
+          tempo: 70,
+          swing: false,
+          density: 'sparse',
+          description: "Floating half-diminished - the 9 softens it"
+        },
+        {
+          id: 'loc2_drift',
+          name: "Two-Chord Drift",
+          chords: [
+            {root: 0, quality: 'm7b5', voicing: [0, 3, 6, 10], duration: 2},
+            {root: 5, quality: 'm7', voicing: [5, 8, 12, 15], duration: 2} // iv chord
+          ],
+          pattern: [1, 0, 1, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
+          tempo: 80,
+          swing: false,
+          density: 'sparse',
+          description: "Gentle minor motion - keeps the b5 alive"
+        },
+        {
+          id: 'loc2_swing',
+          name: "Jazz Waltz",
+          chords: [
+            {root: 0, quality: 'm7b5', voicing: [0, 3, 6, 10], duration: 3}
+          ],
+          pattern: [1, 0, 0, 1, 0, 0],
+          meter: '3/4',
+          subdivision: '8th',
+          drums: { // Jazz waltz ride
+            kick: [1, 0, 0, 0, 0, 0],
+            hihat: [0, 0, 1, 0, 1, 0],
+            ride: [1, 0, 1, 1, 1, 0]
+          },
+          tempo: 120,
+          swing: true,
+          density: 'medium',
+          description: "Swung 3/4 comping - jazz context"
+        }
+      ]
+    },
+    
+    dorian_b2: {
+      name: "Dorian b2",
+      family: 'melodic_minor',
+      intervals: [
+        {degree: '1', semitones: 0, color: 'stable', label: 'Root'},
+        {degree: 'b2', semitones: 1, color: 'characteristic', label: 'Minor 2nd'},
+        {degree: 'b3', semitones: 3, color: 'neutral', label: 'Minor 3rd'},
+        {degree: '4', semitones: 5, color: 'neutral', label: 'Perfect 4th'},
+        {degree: '5', semitones: 7, color: 'stable', label: 'Perfect 5th'},
+        {degree: '6', semitones: 9, color: 'characteristic', label: 'Major 6th'},
+        {degree: 'b7', semitones: 10, color: 'neutral', label: 'Minor 7th'}
+      ],
+      avoidNotes: [
+        {degree: 'b6', semitones: 8, color: 'avoid', reason: 'Minor 6th turns it into plain Phrygian'},
+        {degree: '2', semitones: 2, color: 'avoid', reason: 'Major 2nd turns it into plain Dorian'}
+      ],
+      description: "Phrygian with a major 6th - the sus(b9) sound",
+      
+      grooves: [
+        {
+          id: 'dorb2_sus',
+          name: "Sus(b9) Pad",
+          chords: [
+            {root: 0, quality: 'sus7b9', voicing: [0, 5, 10, 13], duration: 4}
+          ],
+          pattern: [1, 0, 0, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Sparse pulse
+            kick: [1, 0, 0, 0],
+            ride: [1, 0, 1, 0]
+          },
+          tempo: 70,
+          swing: false,
+          density: 'sparse',
+          description: "Modern jazz pad - suspended and dark"
+        },
+        {
+          id: 'dorb2_funk',
+          name: "Dark Funk",
+          chords: [
+            {root: 0, quality: 'm6', voicing: [0, 3, 7, 9], duration: 4}
+          ],
+          pattern: [1, 0, 0, 1, 0, 1, 1, 0], // Syncopated 8ths
+          meter: '4/4',
+          subdivision: '8th',
+          drums: { // Funk beat
+            kick: [1, 0, 0, 1, 0, 0, 0, 1],
+            snare: [0, 0, 1, 0, 0, 0, 1, 0],
+            hihat: [1, 1, 1, 1, 1, 1, 1, 1]
+          },
+          tempo: 98,
+          swing: false,
+          density: 'medium',
+          description: "Minor 6 stabs - b2 against the 6"
+        },
+        {
+          id: 'dorb2_shadow',
+          name: "bII Shadow",
+          chords: [
+            {root: 0, quality: 'm6', voicing: [0, 3, 7, 9], duration: 2},
+            {root: 1, quality: 'maj7#5', voicing: [1, 5, 9, 12], duration: 2} // bIImaj7#5
+          ],
+          pattern: [1, 0, 1, 0],
+          meter: '4/4',
+          subdivision: 'quarter',
+          drums: { // Brushed ballad
+            kick: [1, 0, 0, 0],
+            hihat: [0, 1, 0, 1],
+            ride: [1, 1, 1, 1]
+          },
+          tempo: 84,
+          swing: false,
+          density: 'sparse',
+          description: "Melodic minor colour - half-step drift"
+        }
+      ]
     }
   },
   
+  // Mode family labels (used to group the mode dropdown)
+  families: {
+    church: 'Church Modes',
+    melodic_minor: 'Melodic Minor Modes',
+    harmonic_minor: 'Harmonic Minor Modes',
+    custom: 'Custom Modes'
+  },
+  
+  // Meters: beats per bar, counted in the pulse the tempo refers to
+  meters: {
+    '4/4': {beatsPerBar: 4, beatQuarters: 1},
+    '3/4': {beatsPerBar: 3, beatQuarters: 1},
+    '5/4': {beatsPerBar: 5, beatQuarters: 1},
+    '7/8': {beatsPerBar: 3.5, beatQuarters: 1},   // Counted in quarter notes
+    '12/8': {beatsPerBar: 4, beatQuarters: 1.5}   // Counted in dotted quarters
+  },
+  
+  // Pattern step subdivisions (length of one step in quarter notes)
+  subdivisions: {
+    quarter: {name: 'Quarter notes', stepQuarters: 1},
+    '8th': {name: '8th notes', stepQuarters: 1 / 2},
+    '16th': {name: '16th notes', stepQuarters: 1 / 4},
+    triplet: {name: '8th-note triplets', stepQuarters: 1 / 3}
+  },
+  
+  // Drum kit lanes, played on the same step grid as the chord pattern
+  drumLanes: ['kick', 'snare', 'hihat', 'ride'],
+  
+  // Default degree names for each chromatic step above the root
+  chromaticDegrees: [
+    {degree: '1', label: 'Root'},
+    {degree: 'b2', label: 'Minor 2nd'},
+    {degree: '2', label: 'Major 2nd'},
+    {degree: 'b3', label: 'Minor 3rd'},
+    {degree: '3', label: 'Major 3rd'},
+    {degree: '4', label: 'Perfect 4th'},
+    {degree: 'b5', label: 'Diminished 5th'},
+    {degree: '5', label: 'Perfect 5th'},
+    {degree: 'b6', label: 'Minor 6th'},
+    {degree: '6', label: 'Major 6th'},
+    {degree: 'b7', label: 'Minor 7th'},
+    {degree: '7', label: 'Major 7th'}
+  ],
+  
   // Color scheme definitions
   colors: {
     characteristic: '#22c55e',  // Green - modal signature tones
@@ -284,12 +1083,76 @@ export function getMode(modeName) {
   return MODAL_DATA.modes[modeName];
 }
 
+// Helper function to list mode ids in display order
+export function getModeIds() {
+  return Object.keys(MODAL_DATA.modes);
+}
+
 // Helper function to get groove preset
 export function getGroove(modeName, grooveId) {
   const mode = MODAL_DATA.modes[modeName];
   return mode.grooves.find(g => g.id === grooveId);
 }
 
+// Helper to resolve a groove's meter and subdivision into step counts.
+// Returns null if the combination does not give a whole number of steps per bar.
+export function getRhythmicGrid(groove) {
+  const meter = MODAL_DATA.meters[groove.meter];
+  const subdivision = MODAL_DATA.subdivisions[groove.subdivision];
+  if (!meter || !subdivision) return null;
+  
+  const stepsPerBeat = meter.beatQuarters / subdivision.stepQuarters;
+  const stepsPerBar = Math.round(meter.beatsPerBar * stepsPerBeat);
+  if (Math.abs(meter.beatsPerBar * stepsPerBeat - stepsPerBar) > 1e-6) return null;
+  
+  return {
+    stepsPerBeat: stepsPerBeat,
+    stepsPerBar: stepsPerBar,
+    beatQuarters: meter.beatQuarters,
+    // Swing delays every other step, which only makes sense on straight 8ths/16ths
+    canSwing: groove.subdivision === '8th' || groove.subdivision === '16th'
+  };
+}
+
+// Helper to build colour pad voicings (semitones above the root) that spell a mode's signature:
+// root and fifth under the characteristic degrees, moving through a few variations.
+export function getColorVoicings(mode) {
+  const semitones = mode.intervals.map(interval => interval.semitones);
+  const has = (s) => semitones.includes(s);
+
+  const characteristic = mode.intervals
+    .filter(interval => interval.color === 'characteristic' && interval.semitones !== 0)
+    .map(interval => interval.semitones);
+  // Modes without marked colour tones fall back to their other degrees
+  const colorTones = characteristic.length > 0
+    ? characteristic
+    : semitones.filter(s => s !== 0 && s !== 7);
+  if (colorTones.length === 0) return [[0, 12]];
+
+  const fifth = [7, 6, 8].find(has);
+  const third = [4, 3, 5].find(has);
+  const second = [2, 1, 3].find(has);
+  const base = fifth !== undefined ? [0, fifth] : [0];
+  const first = colorTones[0];
+  const last = colorTones[colorTones.length - 1];
+
+  // Colour tones sit an octave up, above the root and fifth
+  const candidates = [
+    [...base, 12 + first],
+    [...base, third !== undefined ? 12 + third : null, 12 + first],
+    [...base, second !== undefined ? 12 + second : null, 12 + last]
+  ];
+
+  const voicings = [];
+  candidates.forEach(candidate => {
+    const voicing = [...new Set(candidate.filter(s => s !== null))].sort((a, b) => a - b);
+    if (!voicings.some(v => v.join() === voicing.join())) {
+      voicings.push(voicing);
+    }
+  });
+  return voicings;
+}
+
 // Helper to transpose intervals to specific root
 export function transposeToRoot(mode, rootNote) {
   // rootNote is 0-11 (C=0, C#=1, etc.)
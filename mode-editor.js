@@ -0,0 +1,248 @@
+// mode-editor.js - In-app editor for custom modes and scales
+
+import { MODAL_DATA, getMode } from './modal-data.js';
+import { saveCustomMode, deleteCustomMode, getCustomModeIds } from './custom-modes.js';
+
+const ROLES = [
+  {value: '', text: 'Not in mode'},
+  {value: 'stable', text: 'Stable'},
+  {value: 'characteristic', text: 'Characteristic'},
+  {value: 'neutral', text: 'Neutral'},
+  {value: 'avoid', text: 'Avoid'}
+];
+
+export class CustomModeEditor {
+  constructor(containerId, onModesChanged) {
+    this.container = document.getElementById(containerId);
+    this.onModesChanged = onModesChanged; // (modeId | null) after save/delete
+
+    this.editingModeId = null; // null = new mode
+    this.rows = [];
+
+    this.render();
+  }
+
+  // ===== RENDERING =====
+
+  render() {
+    this.container.innerHTML = `
+      <summary>Custom Mode Editor</summary>
+      <div class="editor-body">
+        <div class="editor-fields">
+          <div class="control-group">
+            <label for="custom-mode-picker">Edit:</label>
+            <select id="custom-mode-picker"></select>
+          </div>
+          <div class="control-group">
+            <label for="custom-mode-name">Name:</label>
+            <input type="text" id="custom-mode-name" placeholder="e.g. Hungarian Minor">
+          </div>
+          <div class="control-group">
+            <label for="custom-mode-description">Description:</label>
+            <input type="text" id="custom-mode-description" placeholder="Short character description">
+          </div>
+        </div>
+        <div class="degree-grid"></div>
+        <div class="button-group">
+          <button type="button" class="btn btn-primary" data-action="save">Save Mode</button>
+          <button type="button" class="btn btn-secondary" data-action="delete">Delete</button>
+        </div>
+        <div class="editor-errors"></div>
+      </div>
+    `;
+
+    this.ui = {
+      picker: this.container.querySelector('#custom-mode-picker'),
+      name: this.container.querySelector('#custom-mode-name'),
+      description: this.container.querySelector('#custom-mode-description'),
+      grid: this.container.querySelector('.degree-grid'),
+      saveButton: this.container.querySelector('[data-action="save"]'),
+      deleteButton: this.container.querySelector('[data-action="delete"]'),
+      errors: this.container.querySelector('.editor-errors')
+    };
+
+    this.buildDegreeGrid();
+    this.refreshPicker();
+    this.loadMode(null);
+
+    this.ui.picker.addEventListener('change', () => this.loadMode(this.ui.picker.value || null));
+    this.ui.saveButton.addEventListener('click', () => this.save());
+    this.ui.deleteButton.addEventListener('click', () => this.delete());
+  }
+
+  buildDegreeGrid() {
+    this.ui.grid.innerHTML = '';
+    this.rows = [];
+
+    MODAL_DATA.chromaticDegrees.forEach((defaults, semitones) => {
+      const row = document.createElement('div');
+      row.className = 'degree-row';
+
+      const step = document.createElement('span');
+      step.className = 'degree-step';
+      step.textContent = semitones === 0 ? 'R' : `+${semitones}`;
+
+      const role = document.createElement('select');
+      ROLES.forEach(({value, text}) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        role.appendChild(option);
+      });
+
+      const degree = document.createElement('input');
+      degree.type = 'text';
+      degree.placeholder = defaults.degree;
+
+      const detail = document.createElement('input');
+      detail.type = 'text';
+
+      role.addEventListener('change', () => this.updateRowState(semitones));
+
+      row.append(step, role, degree, detail);
+      this.ui.grid.appendChild(row);
+      this.rows.push({ role, degree, detail });
+    });
+  }
+
+  updateRowState(semitones) {
+    const row = this.rows[semitones];
+    const defaults = MODAL_DATA.chromaticDegrees[semitones];
+    const role = row.role.value;
+
+    row.degree.disabled = role === '';
+    row.detail.disabled = role === '';
+    row.detail.placeholder = role === 'avoid' ? 'Reason to avoid' : defaults.label;
+  }
+
+  refreshPicker() {
+    const picker = this.ui.picker;
+    picker.innerHTML = '';
+
+    const newOption = document.createElement('option');
+    newOption.value = '';
+    newOption.textContent = 'New mode';
+    picker.appendChild(newOption);
+
+    getCustomModeIds().forEach(modeId => {
+      const option = document.createElement('option');
+      option.value = modeId;
+      option.textContent = getMode(modeId).name;
+      picker.appendChild(option);
+    });
+
+    picker.value = this.editingModeId || '';
+  }
+
+  // ===== LOAD / SAVE =====
+
+  loadMode(modeId) {
+    this.editingModeId = modeId;
+    this.showErrors([]);
+
+    const mode = modeId ? getMode(modeId) : null;
+    this.ui.name.value = mode ? mode.name : '';
+    this.ui.description.value = mode ? mode.description : '';
+    this.ui.deleteButton.disabled = !mode;
+
+    this.rows.forEach((row, semitones) => {
+      const interval = mode && mode.intervals.find(int => int.semitones === semitones);
+      const avoid = mode && mode.avoidNotes.find(a => a.semitones === semitones);
+
+      if (interval) {
+        row.role.value = interval.color;
+        row.degree.value = interval.degree;
+        row.detail.value = interval.label;
+      } else if (avoid) {
+        row.role.value = 'avoid';
+        row.degree.value = avoid.degree;
+        row.detail.value = avoid.reason;
+      } else {
+        // New modes start with just the root
+        row.role.value = !mode && semitones === 0 ? 'stable' : '';
+        row.degree.value = '';
+        row.detail.value = '';
+      }
+      this.updateRowState(semitones);
+    });
+  }
+
+  readForm() {
+    const intervals = [];
+    const avoidNotes = [];
+
+    this.rows.forEach((row, semitones) => {
+      const defaults = MODAL_DATA.chromaticDegrees[semitones];
+      const role = row.role.value;
+      const degree = row.degree.value.trim() || defaults.degree;
+
+      if (role === 'avoid') {
+        avoidNotes.push({degree, semitones, color: 'avoid', reason: row.detail.value.trim()});
+      } else if (role !== '') {
+        intervals.push({degree, semitones, color: role, label: row.detail.value.trim() || defaults.label});
+      }
+    });
+
+    const existing = this.editingModeId ? getMode(this.editingModeId) : null;
+
+    return {
+      name: this.ui.name.value.trim(),
+      intervals,
+      avoidNotes,
+      description: this.ui.description.value.trim(),
+      grooves: existing ? existing.grooves.filter(groove => !groove.user) : []
+    };
+  }
+
+  save() {
+    const { modeId, errors } = saveCustomMode(this.readForm(), this.editingModeId);
+
+    if (errors.length > 0) {
+      this.showErrors(errors);
+      return;
+    }
+
+    this.editingModeId = modeId;
+    this.refreshPicker();
+    this.loadMode(modeId);
+
+    if (this.onModesChanged) {
+      this.onModesChanged(modeId);
+    }
+  }
+
+  delete() {
+    if (!this.editingModeId) return;
+
+    const name = getMode(this.editingModeId).name;
+    if (!window.confirm(`Delete custom mode "${name}"?`)) return;
+
+    deleteCustomMode(this.editingModeId);
+    this.editingModeId = null;
+    this.refreshPicker();
+    this.loadMode(null);
+
+    if (this.onModesChanged) {
+      this.onModesChanged(null);
+    }
+  }
+
+  showErrors(errors) {
+    // Errors can quote mode and groove names, so they go in as text
+    this.ui.errors.innerHTML = '';
+    errors.forEach(error => {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = error;
+      this.ui.errors.appendChild(paragraph);
+    });
+  }
+
+  setDisabled(disabled) {
+    this.container.querySelectorAll('input, select, button').forEach(el => {
+      el.disabled = disabled;
+    });
+    if (!disabled) {
+      this.loadMode(this.editingModeId);
+    }
+  }
+}
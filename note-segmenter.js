@@ -0,0 +1,189 @@
+// note-segmenter.js - Turns per-hop level and pitch into discrete notes with start and end times
+
+import { getNoteCountingConfig } from './config.js';
+
+// Envelope (dB) mapped onto MIDI velocity 1-127
+const VELOCITY_CEILING = -6;
+
+// Notes are {start, end, duration, midi, frequency, velocity}; times in AudioContext seconds.
+// onNoteStart gets the note once its pitch is confirmed (end and duration still null);
+// onNoteEnd gets the same object when it ends.
+export class NoteSegmenter {
+  constructor(onNoteStart, onNoteEnd, threshold) {
+    this.onNoteStart = onNoteStart;
+    this.onNoteEnd = onNoteEnd;
+    this.threshold = threshold; // dB; the envelope must be above this for a note to sound
+
+    const config = getNoteCountingConfig();
+    this.stableFrames = config.stableFrames;
+    this.releaseDropDb = config.releaseDropDb;
+    this.pitchLostFrames = config.pitchLostFrames;
+
+    this.reset();
+  }
+
+  reset() {
+    this.note = null; // Sounding note
+    this.notePeak = null; // Its loudest envelope so far, for the release
+    this.pending = null; // Onset waiting for a stable pitch: {start, fromGate, peak, pitches}
+    this.lastEnvelope = null;
+    this.lastTime = null;
+    this.quietOnset = null; // Onset reported just before the gate opened
+    this.changedFrames = 0; // Frames in a row at another pitch while a note sounds
+    this.changedFrom = null;
+    this.lostFrames = 0; // Frames in a row without a pitch while a note sounds
+    this.lastPitchedTime = null;
+  }
+
+  // ===== AUDIO INPUT =====
+
+  // One analysis hop: {time, envelope (dB over the hop), onset (time of an attack found in the
+  // audio since the last hop, or null), midi (null if no clear pitch), frequency}
+  addFrame({ time, envelope, onset = null, midi, frequency }) {
+    const hopStart = this.lastTime !== null ? this.lastTime : time;
+    const gateOpen = envelope > this.threshold;
+    const wasOpen = this.lastEnvelope !== null && this.lastEnvelope > this.threshold;
+    this.lastEnvelope = envelope;
+    this.lastTime = time;
+
+    // An attack can be found while the hop as a whole is still under the gate
+    let attack = onset;
+    if (!gateOpen) {
+      this.quietOnset = attack;
+      attack = null;
+    } else if (attack === null && this.quietOnset !== null) {
+      attack = this.quietOnset;
+    }
+    if (gateOpen) this.quietOnset = null;
+
+    if (attack !== null && this.pending && this.pending.fromGate) {
+      // The attack behind a gate opening is only found once the worklet has seen all of it
+      this.pending.start = attack;
+      this.pending.fromGate = false;
+    } else if (attack !== null && !this.pending) {
+      // A new pluck ends whatever was sounding, repeated note or not.
+      // An onset still waiting for its pitch is the same pluck, so it isn't restarted.
+      this.endNote(attack);
+      this.pending = {start: attack, fromGate: false, peak: envelope, pitches: []};
+    } else if (gateOpen && !wasOpen && !this.pending) {
+      // Coming up through the gate without an attack yet (or a slow swell)
+      this.endNote(hopStart);
+      this.pending = {start: hopStart, fromGate: true, peak: envelope, pitches: []};
+    }
+
+    if (this.pending) {
+      this.updatePending(time, envelope, midi, frequency, gateOpen);
+    } else if (this.note) {
+      this.updateNote(time, envelope, midi, frequency, gateOpen, hopStart);
+    }
+  }
+
+  updatePending(time, envelope, midi, frequency, gateOpen) {
+    const pending = this.pending;
+    if (!gateOpen) {
+      this.pending = null;
+      return;
+    }
+
+    pending.peak = Math.max(pending.peak, envelope);
+    pending.pitches.push({midi, frequency});
+
+    // Confirmed once the last few hops agree on a pitch
+    const recent = pending.pitches.slice(-this.stableFrames);
+    if (recent.length === this.stableFrames && recent.every(p => p.midi !== null && p.midi === recent[0].midi)) {
+      this.pending = null;
+      this.startNote(pending.start, recent[0].midi, averageFrequency(recent), pending.peak, time);
+    } else if (pending.pitches.length >= this.stableFrames + this.pitchLostFrames) {
+      // Never settled: a dead note, string noise or a chord
+      this.pending = null;
+    }
+  }
+
+  updateNote(time, envelope, midi, frequency, gateOpen, hopStart) {
+    const note = this.note;
+
+    // Offset: below the gate, or decayed well under its peak
+    if (!gateOpen || envelope < this.notePeak - this.releaseDropDb) {
+      this.endNote(hopStart);
+      return;
+    }
+    this.notePeak = Math.max(this.notePeak, envelope);
+
+    if (midi === null) {
+      this.changedFrames = 0;
+      this.lostFrames++;
+      if (this.lostFrames >= this.pitchLostFrames) {
+        this.endNote(this.lastPitchedTime);
+      }
+      return;
+    }
+    this.lostFrames = 0;
+    this.lastPitchedTime = time;
+
+    if (midi === note.midi) {
+      this.changedFrames = 0;
+      return;
+    }
+
+    // Another pitch without a new pluck: hammer-on, pull-off or slide
+    if (this.changedFrames === 0) this.changedFrom = hopStart;
+    this.changedFrames++;
+    if (this.changedFrames >= this.stableFrames) {
+      const start = this.changedFrom;
+      this.endNote(start);
+      this.startNote(start, midi, frequency, envelope, time);
+    }
+  }
+
+  // ===== MIDI INPUT =====
+
+  // MIDI has exact boundaries; a bass line is one note at a time
+  noteOn(midi, frequency, velocity, time) {
+    this.endNote(time);
+    this.note = {start: time, end: null, duration: null, midi, frequency, velocity};
+    this.onNoteStart(this.note);
+  }
+
+  noteOff(midi, time) {
+    if (this.note && this.note.midi === midi) {
+      this.endNote(time);
+    }
+  }
+
+  // ===== SHARED =====
+
+  startNote(start, midi, frequency, peak, time) {
+    this.note = {start, end: null, duration: null, midi, frequency, velocity: this.envelopeToVelocity(peak)};
+    this.notePeak = peak;
+    this.changedFrames = 0;
+    this.lostFrames = 0;
+    this.lastPitchedTime = time;
+    this.onNoteStart(this.note);
+  }
+
+  endNote(time) {
+    this.pending = null;
+    if (!this.note) return;
+
+    const note = this.note;
+    this.note = null;
+    note.end = Math.max(time, note.start);
+    note.duration = note.end - note.start;
+    this.onNoteEnd(note);
+  }
+
+  // End any sounding note, e.g. when input stops
+  flush(time = this.lastTime) {
+    if (time !== null) this.endNote(time);
+    this.reset();
+  }
+
+  envelopeToVelocity(envelope) {
+    const scaled = (envelope - this.threshold) / (VELOCITY_CEILING - this.threshold);
+    return Math.max(1, Math.min(127, Math.round(1 + scaled * 126)));
+  }
+}
+
+function averageFrequency(pitches) {
+  return pitches.reduce((sum, p) => sum + p.frequency, 0) / pitches.length;
+}
@@ -0,0 +1,136 @@
+// phrase-trainer.js - Call-and-response phrases built from a mode, with scoring and progression
+
+// Levels in order of difficulty
+export const PHRASE_LEVELS = [
+  {id: 'stepwise', name: 'Stepwise'},
+  {id: 'leaps', name: 'Leaps'},
+  {id: 'characteristic', name: 'Characteristic tones'}
+];
+
+const MIN_NOTES = 3;
+const MAX_NOTES = 5;
+const PASS_SCORE = 80; // % for a response to count towards moving on
+const PASSES_TO_ADVANCE = 3;
+
+export class PhraseTrainer {
+  constructor(mode, rootMIDI) {
+    this.rootMIDI = rootMIDI;
+
+    // Scale degrees over an octave, as semitones above the root
+    this.tones = [...mode.intervals.map(interval => interval.semitones).sort((a, b) => a - b), 12];
+    this.characteristic = mode.intervals
+      .filter(interval => interval.color === 'characteristic')
+      .map(interval => interval.semitones);
+
+    this.level = 0;
+    this.passes = 0; // Passing responses at the current level
+  }
+
+  get levelName() {
+    return PHRASE_LEVELS[this.level].name;
+  }
+
+  // Phrase for one bar of the grid: {level, notes: [{midi, step, steps}]}, one note per beat
+  nextPhrase(grid) {
+    const beats = Math.floor(grid.stepsPerBar / grid.stepsPerBeat);
+    const length = Math.min(beats, MIN_NOTES + Math.min(this.passes, MAX_NOTES - MIN_NOTES));
+
+    const indexes = this.buildIndexes(length);
+    return {
+      level: PHRASE_LEVELS[this.level].id,
+      notes: indexes.map((index, i) => ({
+        midi: this.rootMIDI + this.tones[index],
+        step: i * grid.stepsPerBeat,
+        steps: grid.stepsPerBeat
+      }))
+    };
+  }
+
+  buildIndexes(length) {
+    const top = this.tones.length - 1;
+    const levelId = PHRASE_LEVELS[this.level].id;
+
+    // Start from the root or its octave so the phrase is anchored in the mode
+    const indexes = [Math.random() < 0.5 ? 0 : top];
+
+    while (indexes.length < length) {
+      const last = indexes[indexes.length - 1];
+      let candidates;
+
+      if (levelId === 'stepwise') {
+        candidates = [last - 1, last + 1];
+      } else if (levelId === 'leaps') {
+        candidates = [last - 4, last - 3, last - 2, last + 2, last + 3, last + 4];
+      } else {
+        // Land on characteristic degrees, reached by step or leap
+        candidates = this.tones
+          .map((semitones, index) => index)
+          .filter(index => index !== last && this.characteristic.includes(this.tones[index]));
+        if (candidates.length === 0 || indexes.length % 2 === 0) {
+          candidates = [last - 3, last - 2, last - 1, last + 1, last + 2, last + 3];
+        }
+      }
+
+      candidates = candidates.filter(index => index >= 0 && index <= top);
+      if (candidates.length === 0) {
+        // Scales too small for a leap fall back to steps
+        candidates = [last - 1, last + 1].filter(index => index >= 0 && index <= top);
+      }
+      indexes.push(candidates[Math.floor(Math.random() * candidates.length)]);
+    }
+
+    return indexes;
+  }
+
+  // Compare played MIDI notes with the phrase by pitch class (any octave).
+  // Returns {pitch, order, score} as percentages and moves the level on after enough passes.
+  scoreResponse(phrase, played) {
+    const target = phrase.notes.map(note => note.midi % 12);
+    const response = played.map(midi => midi % 12);
+
+    // Right notes regardless of order; extra notes count against
+    const remaining = [...response];
+    let matched = 0;
+    target.forEach(pitchClass => {
+      const index = remaining.indexOf(pitchClass);
+      if (index > -1) {
+        remaining.splice(index, 1);
+        matched++;
+      }
+    });
+    const pitch = matched / Math.max(target.length, response.length) * 100;
+
+    // Longest run of the phrase played in order, without gaps
+    const order = longestMatchingRun(target, response) / target.length * 100;
+
+    const score = Math.round((pitch + order) / 2);
+    this.recordScore(score);
+
+    return {pitch: Math.round(pitch), order: Math.round(order), score};
+  }
+
+  recordScore(score) {
+    if (score < PASS_SCORE) return;
+
+    this.passes++;
+    if (this.passes >= PASSES_TO_ADVANCE && this.level < PHRASE_LEVELS.length - 1) {
+      this.level++;
+      this.passes = 0;
+    }
+  }
+}
+
+// Longest stretch of consecutive notes that appears unbroken in both, so gaps and strays end a run
+function longestMatchingRun(a, b) {
+  const lengths = Array.from({length: a.length + 1}, () => new Array(b.length + 1).fill(0));
+  let longest = 0;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      if (a[i - 1] === b[j - 1]) {
+        lengths[i][j] = lengths[i - 1][j - 1] + 1;
+        longest = Math.max(longest, lengths[i][j]);
+      }
+    }
+  }
+  return longest;
+}
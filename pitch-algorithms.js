@@ -0,0 +1,260 @@
+// pitch-algorithms.js - Local pitch detection (McLeod NSDF and YIN), reporting [frequency, clarity]
+
+export const PITCH_ALGORITHMS = ['mcleod', 'yin'];
+
+// McLeod: first key maximum within this fraction of the highest is the pitch
+const MCLEOD_PEAK_RATIO = 0.9;
+
+// YIN: first dip of the normalised difference below this is the pitch
+const YIN_THRESHOLD = 0.15;
+
+// Lags searched run from an octave above maxFrequency (so harmonics above the range are
+// recognised and rejected rather than folded down) to just below minFrequency, keeping at
+// least a quarter of the buffer overlapping at the longest lag
+export function createPitchAlgorithm(name, bufferSize, {sampleRate, minFrequency, maxFrequency}) {
+  const maxLag = Math.min(Math.ceil(sampleRate / minFrequency) + 2, Math.floor(bufferSize * 3 / 4));
+  const minLag = Math.max(2, Math.floor(sampleRate / (maxFrequency * 2)));
+
+  switch (name) {
+    case 'mcleod':
+      return new McLeodDetector(bufferSize, minLag, maxLag);
+    case 'yin':
+      return new YinDetector(bufferSize, minLag, maxLag);
+    default:
+      throw new Error(`Unknown pitch algorithm "${name}"; use one of ${PITCH_ALGORITHMS.join(', ')}`);
+  }
+}
+
+// ===== MCLEOD (NSDF) =====
+
+class McLeodDetector {
+  constructor(bufferSize, minLag, maxLag) {
+    this.bufferSize = bufferSize;
+    this.minLag = minLag;
+    this.maxLag = maxLag;
+    this.fft = new FFT(nextPowerOfTwo(bufferSize * 2));
+    this.nsdf = new Float64Array(maxLag + 1);
+  }
+
+  findPitch(buffer, sampleRate) {
+    const n = this.bufferSize;
+    const { re } = this.fft.autocorrelate(buffer, n);
+
+    // m(tau): energy of both overlapping parts, shrinking as the lag grows
+    let m = 0;
+    for (let i = 0; i < n; i++) m += 2 * buffer[i] * buffer[i];
+    if (m === 0) return [0, 0];
+
+    for (let tau = 0; tau <= this.maxLag; tau++) {
+      this.nsdf[tau] = m > 0 ? 2 * re[tau] / m : 0;
+      m -= buffer[tau] * buffer[tau] + buffer[n - 1 - tau] * buffer[n - 1 - tau];
+    }
+
+    // Key maxima: the highest point of each positive lobe after the first negative crossing
+    const keyMaxima = [];
+    let tau = 1;
+    while (tau < this.maxLag && this.nsdf[tau] > 0) tau++;
+    let lobeMax = -1;
+    for (; tau <= this.maxLag; tau++) {
+      if (this.nsdf[tau] > 0) {
+        if (lobeMax === -1 || this.nsdf[tau] > this.nsdf[lobeMax]) lobeMax = tau;
+      } else if (lobeMax !== -1) {
+        keyMaxima.push(lobeMax);
+        lobeMax = -1;
+      }
+    }
+    // A lobe cut off by the lag limit only counts if its peak is inside it
+    if (lobeMax !== -1 && lobeMax < this.maxLag) keyMaxima.push(lobeMax);
+
+    const candidates = keyMaxima.filter(lag => lag >= this.minLag);
+    if (candidates.length === 0) return [0, 0];
+
+    const highest = Math.max(...candidates.map(lag => this.nsdf[lag]));
+    const chosen = candidates.find(lag => this.nsdf[lag] >= MCLEOD_PEAK_RATIO * highest);
+    const [lag, clarity] = interpolatePeak(this.nsdf, chosen);
+
+    return [sampleRate / lag, Math.min(1, clarity)];
+  }
+}
+
+// ===== YIN =====
+
+class YinDetector {
+  constructor(bufferSize, minLag, maxLag) {
+    this.bufferSize = bufferSize;
+    this.minLag = minLag;
+    this.maxLag = maxLag;
+    this.window = bufferSize - maxLag; // Samples compared at each lag
+    this.fft = new FFT(nextPowerOfTwo(bufferSize * 2));
+    this.difference = new Float64Array(maxLag + 1);
+  }
+
+  findPitch(buffer, sampleRate) {
+    const w = this.window;
+    const d = this.difference;
+    const { re } = this.fft.crossCorrelate(buffer, w, this.bufferSize);
+
+    // d(tau) = sum (x[j] - x[j + tau])^2 = energy(0) + energy(tau) - 2 * correlation(tau)
+    let energyStart = 0;
+    for (let j = 0; j < w; j++) energyStart += buffer[j] * buffer[j];
+    if (energyStart === 0) return [0, 0];
+
+    let energyLagged = energyStart;
+    for (let tau = 0; tau <= this.maxLag; tau++) {
+      d[tau] = Math.max(0, energyStart + energyLagged - 2 * re[tau]);
+      if (tau < this.maxLag) {
+        energyLagged += buffer[tau + w] * buffer[tau + w] - buffer[tau] * buffer[tau];
+      }
+    }
+
+    // Cumulative mean normalised difference
+    d[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau <= this.maxLag; tau++) {
+      runningSum += d[tau];
+      d[tau] = runningSum > 0 ? d[tau] * tau / runningSum : 1;
+    }
+
+    // Lowest point of the first dip under the threshold (the whole dip, since noise
+    // leaves small local minima on its slopes); otherwise the lowest point overall
+    let chosen = -1;
+    for (let tau = this.minLag; tau < this.maxLag; tau++) {
+      if (d[tau] < YIN_THRESHOLD) {
+        chosen = tau;
+        while (tau + 1 < this.maxLag && d[tau + 1] < YIN_THRESHOLD) {
+          tau++;
+          if (d[tau] < d[chosen]) chosen = tau;
+        }
+        break;
+      }
+    }
+    if (chosen === -1) {
+      chosen = this.minLag;
+      for (let tau = this.minLag + 1; tau < this.maxLag; tau++) {
+        if (d[tau] < d[chosen]) chosen = tau;
+      }
+    }
+
+    const [lag, value] = interpolatePeak(d, chosen);
+    return [sampleRate / lag, Math.max(0, Math.min(1, 1 - value))];
+  }
+}
+
+// ===== SHARED =====
+
+// Parabola through a point and its neighbours: [fractional position, value at the vertex]
+function interpolatePeak(values, index) {
+  if (index <= 0 || index >= values.length - 1) return [index, values[index]];
+
+  const a = values[index - 1];
+  const b = values[index];
+  const c = values[index + 1];
+  const curvature = a - 2 * b + c;
+  if (curvature === 0) return [index, b];
+
+  const shift = (a - c) / (2 * curvature);
+  return [index + shift, b - (a - c) * shift / 4];
+}
+
+function nextPowerOfTwo(value) {
+  let size = 1;
+  while (size < value) size *= 2;
+  return size;
+}
+
+// In-place radix-2 FFT with reusable buffers
+class FFT {
+  constructor(size) {
+    this.size = size;
+    this.re = new Float64Array(size);
+    this.im = new Float64Array(size);
+    this.otherRe = new Float64Array(size);
+    this.otherIm = new Float64Array(size);
+    this.cos = new Float64Array(size / 2);
+    this.sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cos[i] = Math.cos(2 * Math.PI * i / size);
+      this.sin[i] = Math.sin(2 * Math.PI * i / size);
+    }
+  }
+
+  // Linear autocorrelation of the first `length` samples; result in re[lag]
+  autocorrelate(buffer, length) {
+    const { re, im } = this;
+    this.load(re, im, buffer, length);
+    this.transform(re, im, false);
+    for (let i = 0; i < this.size; i++) {
+      re[i] = re[i] * re[i] + im[i] * im[i];
+      im[i] = 0;
+    }
+    this.transform(re, im, true);
+    return { re, im };
+  }
+
+  // Correlation of the first `windowLength` samples against the first `length`; result in re[lag]
+  crossCorrelate(buffer, windowLength, length) {
+    const { re, im, otherRe, otherIm } = this;
+    this.load(re, im, buffer, length);
+    this.load(otherRe, otherIm, buffer, windowLength);
+    this.transform(re, im, false);
+    this.transform(otherRe, otherIm, false);
+    for (let i = 0; i < this.size; i++) {
+      // Full spectrum times the conjugate of the window's
+      const real = re[i] * otherRe[i] + im[i] * otherIm[i];
+      const imag = im[i] * otherRe[i] - re[i] * otherIm[i];
+      re[i] = real;
+      im[i] = imag;
+    }
+    this.transform(re, im, true);
+    return { re, im };
+  }
+
+  load(re, im, buffer, length) {
+    for (let i = 0; i < this.size; i++) {
+      re[i] = i < length ? buffer[i] : 0;
+      im[i] = 0;
+    }
+  }
+
+  transform(re, im, inverse) {
+    const n = this.size;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    const sign = inverse ? 1 : -1;
+    for (let length = 2; length <= n; length *= 2) {
+      const half = length / 2;
+      const step = n / length;
+      for (let start = 0; start < n; start += length) {
+        for (let k = 0; k < half; k++) {
+          const wr = this.cos[k * step];
+          const wi = sign * this.sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+
+    if (inverse) {
+      for (let i = 0; i < n; i++) {
+        re[i] /= n;
+        im[i] /= n;
+      }
+    }
+  }
+}
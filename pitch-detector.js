@@ -1,17 +1,22 @@
 // pitch-detector.js - Real-time bass pitch detection from line input
 
-import { PitchDetector } from 'https://esm.sh/pitchy@4';
-import { getPitchDetectionConfig } from './config.js';
+import { getPitchDetectionConfig, getNoteCountingConfig } from './config.js';
+import { NoteSegmenter } from './note-segmenter.js';
+
+// Analysis runs on the audio thread; the processor is registered once per context
+const WORKLET_URL = new URL('./pitch-worklet.js', import.meta.url);
+const workletContexts = new WeakSet();
 
 export class BassPitchDetector {
-  constructor(onPitchDetected, onLevelUpdate) {
+  constructor(onPitchDetected, onLevelUpdate, onNoteStart = null, onNoteEnd = null) {
     this.audioContext = null;
-    this.analyser = null;
+    this.ownsContext = false; // Only close a context this detector created
+    this.source = null; // Input node, also heard through the engine's bass monitor
+    this.workletNode = null;
     this.mediaStream = null;
-    this.rafID = null;
 
     // Callbacks
-    this.onPitchDetected = onPitchDetected; // (frequency, confidence, noteName, midiNote)
+    this.onPitchDetected = onPitchDetected; // (frequency, confidence, noteName, midiNote, cents, velocity, time)
     this.onLevelUpdate = onLevelUpdate;     // (level) for input meter
 
     // Load configuration
@@ -24,18 +29,24 @@ export class BassPitchDetector {
     this.maxFrequency = config.maxFrequency;
     this.threshold = config.threshold;
     this.confidenceThreshold = config.confidenceThreshold;
-
-    // Pitchy detector (initialized after we know sample rate)
-    this.pitchyDetector = null;
+    this.algorithm = config.algorithm;
+    this.hopSize = config.hopSize;
 
     // State
     this.isRunning = false;
     this.lastDetectedNote = null;
-    this.lastDetectionTime = 0;
+    this.lastDetectionTime = -Infinity; // AudioContext seconds
     this.detectionCooldown = config.detectionCooldown;
+
+    // Discrete notes for analytics: onNoteStart(note) once the pitch settles, onNoteEnd(note) at release
+    this.segmenter = new NoteSegmenter(
+      (note) => onNoteStart && onNoteStart(note),
+      (note) => onNoteEnd && onNoteEnd(note),
+      this.threshold
+    );
   }
 
-  async init(deviceId = null) {
+  async init(deviceId = null, audioContext = null) {
     try {
       // Request line input access
       const constraints = {
@@ -50,24 +61,35 @@ export class BassPitchDetector {
       
       this.mediaStream = await navigator.mediaDevices.getUserMedia(constraints);
       
-      // Setup audio context
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      // Share the engine's context when given one, so the input can be monitored and mixed
+      this.ownsContext = !audioContext;
+      this.audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
       this.sampleRate = this.audioContext.sampleRate;
       
-      const source = this.audioContext.createMediaStreamSource(this.mediaStream);
-      
-      // Create analyser with configuration
-      const config = getPitchDetectionConfig();
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = this.bufferSize;
-      this.analyser.smoothingTimeConstant = config.analyser.smoothingTimeConstant;
-      this.analyser.minDecibels = config.analyser.minDecibels;
-      this.analyser.maxDecibels = config.analyser.maxDecibels;
+      this.source = this.audioContext.createMediaStreamSource(this.mediaStream);
 
-      source.connect(this.analyser);
+      if (!workletContexts.has(this.audioContext)) {
+        await this.audioContext.audioWorklet.addModule(WORKLET_URL);
+        workletContexts.add(this.audioContext);
+      }
 
-      // Initialize Pitchy detector optimized for bass frequencies
-      this.pitchyDetector = PitchDetector.forFloat32Array(this.bufferSize);
+      // Mono analysis with no output; the source is connected while running
+      this.workletNode = new AudioWorkletNode(this.audioContext, 'bass-pitch-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: 1,
+        channelCountMode: 'explicit',
+        processorOptions: {
+          bufferSize: this.bufferSize,
+          hopSize: this.hopSize,
+          threshold: this.threshold,
+          onsetRiseDb: getNoteCountingConfig().onsetRiseDb,
+          algorithm: this.algorithm,
+          minFrequency: this.minFrequency,
+          maxFrequency: this.maxFrequency
+        }
+      });
+      this.workletNode.port.onmessage = (event) => this.onAnalysis(event.data);
 
       return true;
     } catch (error) {
@@ -84,73 +106,54 @@ export class BassPitchDetector {
   start() {
     if (this.isRunning) return;
     this.isRunning = true;
-    this.detectPitch();
+    this.source.connect(this.workletNode);
   }
 
   stop() {
+    if (!this.isRunning) return;
     this.isRunning = false;
-    if (this.rafID) {
-      cancelAnimationFrame(this.rafID);
-      this.rafID = null;
-    }
+    this.source.disconnect(this.workletNode);
+    this.segmenter.flush();
   }
 
-  detectPitch() {
+  // One analysis hop from the worklet: {time and onset (AudioContext seconds, onset null if none), level and envelope (dB), frequency, clarity}
+  onAnalysis({ time, level, envelope, onset, frequency, clarity }) {
     if (!this.isRunning) return;
-    
-    const buffer = new Float32Array(this.bufferSize);
-    this.analyser.getFloatTimeDomainData(buffer);
-    
-    // Calculate RMS level for input meter
-    const level = this.calculateRMS(buffer);
+
     if (this.onLevelUpdate) {
       this.onLevelUpdate(level);
     }
-    
-    // Only detect if signal is strong enough
-    if (level > this.threshold) {
-      // Use Pitchy to detect pitch (McLeod Pitch Method)
-      const [frequency, clarity] = this.pitchyDetector.findPitch(buffer, this.sampleRate);
-
-      // Validate frequency is in bass range and clarity meets threshold
-      if (frequency > 0 &&
-          frequency >= this.minFrequency &&
-          frequency <= this.maxFrequency &&
-          clarity > this.confidenceThreshold) {
-
-        // Cooldown to prevent rapid-fire detections
-        const now = Date.now();
-        if (now - this.lastDetectionTime > this.detectionCooldown) {
-          const noteInfo = this.frequencyToNote(frequency);
-
-          if (this.onPitchDetected) {
-            this.onPitchDetected(
-              frequency,
-              clarity,
-              noteInfo.name,
-              noteInfo.midi,
-              noteInfo.cents
-            );
-          }
-
-          this.lastDetectedNote = noteInfo;
-          this.lastDetectionTime = now;
+
+    // Validate frequency is in bass range and clarity meets threshold
+    const isPitched = frequency > 0 &&
+      frequency >= this.minFrequency &&
+      frequency <= this.maxFrequency &&
+      clarity > this.confidenceThreshold;
+    const noteInfo = isPitched ? this.frequencyToNote(frequency) : null;
+
+    // Every hop goes to the segmenter; the cooldown only limits the live display
+    this.segmenter.addFrame({time, envelope, onset, midi: noteInfo ? noteInfo.midi : null, frequency});
+
+    if (isPitched) {
+      // Cooldown to prevent rapid-fire detections
+      if ((time - this.lastDetectionTime) * 1000 > this.detectionCooldown) {
+
+        if (this.onPitchDetected) {
+          this.onPitchDetected(
+            frequency,
+            clarity,
+            noteInfo.name,
+            noteInfo.midi,
+            noteInfo.cents,
+            null,
+            time
+          );
         }
-      }
-    }
-    
-    this.rafID = requestAnimationFrame(() => this.detectPitch());
-  }
 
-  calculateRMS(buffer) {
-    let sum = 0;
-    for (let i = 0; i < buffer.length; i++) {
-      sum += buffer[i] * buffer[i];
+        this.lastDetectedNote = noteInfo;
+        this.lastDetectionTime = time;
+      }
     }
-    const rms = Math.sqrt(sum / buffer.length);
-    
-    // Convert to dB
-    return 20 * Math.log10(rms + 1e-10);
   }
 
   frequencyToNote(frequency) {
@@ -175,15 +178,26 @@ export class BassPitchDetector {
   cleanup() {
     this.stop();
     
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({type: 'close'});
+      this.workletNode.port.onmessage = null;
+      this.workletNode = null;
+    }
+
+    if (this.source) {
+      this.source.disconnect();
+      this.source = null;
+    }
+
     if (this.mediaStream) {
       this.mediaStream.getTracks().forEach(track => track.stop());
       this.mediaStream = null;
     }
     
-    if (this.audioContext) {
+    if (this.audioContext && this.ownsContext) {
       this.audioContext.close();
-      this.audioContext = null;
     }
+    this.audioContext = null;
   }
 }
 
@@ -204,6 +218,14 @@ const detector = new BassPitchDetector(
   (level) => {
     // Update input level meter
     updateLevelMeter(level);
+  },
+  (note) => {
+    // Onset with a settled pitch: count it
+    countNote(note.midi, note.start, note.velocity);
+  },
+  (note) => {
+    // Release: the same note now has its end and duration
+    updateNoteLength(note.midi, note.duration);
   }
 );
 
@@ -0,0 +1,140 @@
+// pitch-worklet.js - AudioWorklet processor that analyses the bass input at a fixed hop
+
+import { createPitchAlgorithm } from './pitch-algorithms.js';
+
+// Onsets compare the energy of two adjacent windows of this many blocks; ~21 ms each at 48 kHz,
+// about one period of low E, so the waveform itself doesn't read as a rise
+const ONSET_BLOCK = 128; // samples, ~3 ms resolution
+const ONSET_WINDOW_BLOCKS = 8;
+
+class BassPitchProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { bufferSize, hopSize, threshold, onsetRiseDb, algorithm, minFrequency, maxFrequency } = options.processorOptions;
+
+    this.bufferSize = bufferSize;
+    this.hopSize = hopSize;
+    this.threshold = threshold;
+    this.pitchAlgorithm = createPitchAlgorithm(algorithm, bufferSize, {sampleRate, minFrequency, maxFrequency});
+
+    // Ring buffer of the latest input, unrolled into `frame` for each analysis
+    this.ring = new Float32Array(bufferSize);
+    this.frame = new Float32Array(bufferSize);
+    this.writeIndex = 0;
+    this.filled = 0;
+    this.sinceLastHop = 0;
+    this.hopEnergy = 0; // Sum of squares since the last analysis, for the short-term envelope
+
+    // Onset detection: block energies of the last two windows, oldest at blockIndex
+    this.onsetRiseDb = onsetRiseDb;
+    this.blockEnergies = new Float64Array(ONSET_WINDOW_BLOCKS * 2);
+    this.blockIndex = 0;
+    this.blocksFilled = 0;
+    this.blockEnergy = 0;
+    this.blockLength = 0;
+    this.risePeak = null; // {rise, time} while the rise is over onsetRiseDb
+    this.onset = null; // Context time of an onset found since the last analysis
+
+    this.closed = false;
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'close') this.closed = true;
+    };
+  }
+
+  process(inputs) {
+    if (this.closed) return false;
+
+    const channel = inputs[0][0];
+    if (!channel) return true; // Input disconnected while stopped
+
+    for (let i = 0; i < channel.length; i++) {
+      this.ring[this.writeIndex] = channel[i];
+      this.writeIndex = (this.writeIndex + 1) % this.bufferSize;
+      this.filled = Math.min(this.filled + 1, this.bufferSize);
+      this.sinceLastHop++;
+      this.hopEnergy += channel[i] * channel[i];
+      this.blockEnergy += channel[i] * channel[i];
+      this.blockLength++;
+
+      if (this.blockLength === ONSET_BLOCK) {
+        this.endBlock((currentFrame + i + 1) / sampleRate);
+      }
+
+      if (this.sinceLastHop >= this.hopSize && this.filled === this.bufferSize) {
+        const envelope = toDecibels(this.hopEnergy / this.sinceLastHop);
+        this.sinceLastHop = 0;
+        this.hopEnergy = 0;
+        // Context time of the newest sample in the window
+        this.analyse((currentFrame + i + 1) / sampleRate, envelope);
+      }
+    }
+    return true;
+  }
+
+  analyse(time, envelope) {
+    // Oldest sample first
+    const tail = this.bufferSize - this.writeIndex;
+    this.frame.set(this.ring.subarray(this.writeIndex), 0);
+    this.frame.set(this.ring.subarray(0, this.writeIndex), tail);
+
+    let sum = 0;
+    for (let i = 0; i < this.bufferSize; i++) {
+      sum += this.frame[i] * this.frame[i];
+    }
+    const level = toDecibels(sum / this.bufferSize);
+
+    // Only detect if signal is strong enough
+    let frequency = 0;
+    let clarity = 0;
+    if (level > this.threshold) {
+      [frequency, clarity] = this.pitchAlgorithm.findPitch(this.frame, sampleRate);
+    }
+
+    this.port.postMessage({time, level, envelope, onset: this.onset, frequency, clarity});
+    this.onset = null;
+  }
+
+  // Compare the latest window with the one just before it. A pluck, including a re-pluck of a
+  // ringing string, makes the rise peak with the window boundary on the attack; natural decay
+  // only ever falls.
+  endBlock(time) {
+    const size = this.blockEnergies.length;
+    this.blockEnergies[this.blockIndex] = this.blockEnergy;
+    this.blockIndex = (this.blockIndex + 1) % size;
+    this.blocksFilled = Math.min(this.blocksFilled + 1, size);
+    this.blockEnergy = 0;
+    this.blockLength = 0;
+    if (this.blocksFilled < size) return;
+
+    let before = 0;
+    let after = 0;
+    for (let b = 0; b < size; b++) {
+      const energy = this.blockEnergies[(this.blockIndex + b) % size];
+      if (b < ONSET_WINDOW_BLOCKS) {
+        before += energy;
+      } else {
+        after += energy;
+      }
+    }
+    const windowLength = ONSET_WINDOW_BLOCKS * ONSET_BLOCK;
+    const rise = toDecibels(after / windowLength) - toDecibels(before / windowLength);
+    const boundary = time - windowLength / sampleRate;
+
+    // One onset per excursion over the threshold, at its peak
+    if (rise >= this.onsetRiseDb) {
+      if (!this.risePeak || rise > this.risePeak.rise) {
+        this.risePeak = {rise, time: boundary};
+      }
+    } else if (this.risePeak) {
+      if (this.onset === null) this.onset = this.risePeak.time;
+      this.risePeak = null;
+    }
+  }
+}
+
+// Mean square to RMS dB
+function toDecibels(meanSquare) {
+  return 20 * Math.log10(Math.sqrt(meanSquare) + 1e-10);
+}
+
+registerProcessor('bass-pitch-processor', BassPitchProcessor);
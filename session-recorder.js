@@ -0,0 +1,94 @@
+// session-recorder.js - Records the bass input and the backing output of a session as separate tracks
+
+import { SAMPLE_RATE, bufferToWav } from './wav-export.js';
+
+const PREFERRED_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+export class SessionRecorder {
+  constructor() {
+    this.recorders = {};
+    this.chunks = {};
+    this.startedAt = null;
+    this.mimeType = '';
+  }
+
+  static isSupported() {
+    return typeof window.MediaRecorder !== 'undefined';
+  }
+
+  get isRecording() {
+    return Object.keys(this.recorders).length > 0;
+  }
+
+  start(tracks) {
+    // tracks: {name: MediaStream}, e.g. {bass, backing}
+    this.mimeType = PREFERRED_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    this.recorders = {};
+    this.chunks = {};
+
+    Object.entries(tracks).forEach(([name, stream]) => {
+      const recorder = new MediaRecorder(stream, this.mimeType ? { mimeType: this.mimeType } : {});
+      // Each recorder keeps its own array, so a later session can't mix into it
+      const chunks = [];
+      this.chunks[name] = chunks;
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      };
+      this.recorders[name] = recorder;
+    });
+
+    // Start together so the tracks line up
+    Object.values(this.recorders).forEach(recorder => recorder.start(1000));
+    this.startedAt = Date.now();
+  }
+
+  // Stop all tracks. Resolves to {tracks: {name: Blob}, mimeType, startedAt, duration}.
+  async stop() {
+    // Take this session's state and reset before waiting, so a session started meanwhile
+    // records into fresh recorders
+    const entries = Object.entries(this.recorders);
+    const chunks = this.chunks;
+    const startedAt = this.startedAt;
+    const duration = (Date.now() - startedAt) / 1000;
+    const mimeType = this.mimeType;
+    this.recorders = {};
+    this.chunks = {};
+
+    await Promise.all(entries.map(([, recorder]) => new Promise(resolve => {
+      recorder.onstop = resolve;
+      recorder.stop();
+    })));
+
+    const type = mimeType || (entries.length > 0 ? entries[0][1].mimeType : '');
+    const tracks = {};
+    entries.forEach(([name]) => {
+      tracks[name] = new Blob(chunks[name], { type });
+    });
+
+    return {
+      tracks,
+      mimeType: type,
+      startedAt,
+      duration
+    };
+  }
+}
+
+// Decode the recorded tracks and mix them down to a WAV blob
+export async function mixRecording(recording, bitDepth = 16) {
+  const decoder = new OfflineAudioContext(1, 1, SAMPLE_RATE);
+  const buffers = await Promise.all(Object.values(recording.tracks).map(async blob =>
+    decoder.decodeAudioData(await blob.arrayBuffer())
+  ));
+
+  const length = Math.max(...buffers.map(buffer => buffer.length));
+  const mixer = new OfflineAudioContext(2, length, SAMPLE_RATE);
+  buffers.forEach(buffer => {
+    const source = mixer.createBufferSource();
+    source.buffer = buffer;
+    source.connect(mixer.destination);
+    source.start(0);
+  });
+
+  return bufferToWav(await mixer.startRendering(), bitDepth);
+}
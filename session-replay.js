@@ -0,0 +1,231 @@
+// session-replay.js - Plays a finished session's detections back through the fretboard
+
+export const REPLAY_SPEEDS = [0.5, 0.75, 1, 1.5, 2];
+
+const SEEK_STEP = 10; // ms
+const AUDIO_DRIFT_LIMIT = 0.1; // seconds before the audio is pulled back in line
+
+export class SessionReplay {
+  constructor(containerId, fretboard) {
+    this.container = document.getElementById(containerId);
+    this.fretboard = fretboard;
+
+    // Loaded session
+    this.session = null;
+    this.events = []; // debugLog entries: {time (ms from session start), midi, ...}
+    this.duration = 0;
+    this.audio = []; // <audio> elements for recorded tracks
+    this.audioOffset = 0; // seconds of recording before the session clock starts
+
+    // Transport
+    this.position = 0; // ms
+    this.speed = 1;
+    this.isPlaying = false;
+    this.nextEvent = 0;
+    this.lastFrameTime = null;
+    this.frameID = null;
+
+    this.render();
+  }
+
+  // ===== RENDERING =====
+
+  render() {
+    this.container.innerHTML = `
+      <h3>Session Replay</h3>
+      <div class="replay-controls">
+        <button type="button" class="btn btn-primary" data-action="play">Play</button>
+        <input type="range" class="replay-seek" min="0" max="0" step="${SEEK_STEP}" value="0">
+        <span class="replay-time">0:00 / 0:00</span>
+        <select class="replay-speed">
+          ${REPLAY_SPEEDS.map(s => `<option value="${s}"${s === 1 ? ' selected' : ''}>${s}x</option>`).join('')}
+        </select>
+      </div>
+      <div class="replay-note"></div>
+    `;
+
+    const q = (selector) => this.container.querySelector(selector);
+    this.ui = {
+      playButton: q('[data-action="play"]'),
+      seek: q('.replay-seek'),
+      time: q('.replay-time'),
+      speed: q('.replay-speed'),
+      note: q('.replay-note')
+    };
+
+    this.ui.playButton.addEventListener('click', () => this.togglePlay());
+    this.ui.seek.addEventListener('input', () => this.seek(parseInt(this.ui.seek.value)));
+    this.ui.speed.addEventListener('change', () => this.setSpeed(parseFloat(this.ui.speed.value)));
+
+    this.container.hidden = true;
+  }
+
+  updateTransport() {
+    this.ui.seek.value = Math.round(this.position);
+    this.ui.time.textContent = `${formatTime(this.position)} / ${formatTime(this.duration)}`;
+    this.ui.playButton.textContent = this.isPlaying ? 'Pause' : 'Play';
+  }
+
+  // ===== LOADING =====
+
+  load(session) {
+    // session: {startTime, endTime, mode, rootMIDI, events, recording?}
+    this.unload();
+
+    this.session = session;
+    this.events = session.events;
+    this.duration = session.endTime - session.startTime;
+    this.ui.seek.max = Math.round(this.duration);
+    this.ui.note.textContent = '';
+
+    if (session.recording) {
+      this.setRecording(session.recording);
+    }
+
+    this.seek(0);
+    this.container.hidden = false;
+  }
+
+  setRecording(recording) {
+    // The recording starts before the count-in; the detections are timed from after it
+    this.audioOffset = Math.max(0, (this.session.startTime - recording.startedAt) / 1000);
+    this.audio = Object.values(recording.tracks).map(blob => {
+      const audio = new Audio(URL.createObjectURL(blob));
+      audio.preload = 'auto';
+      audio.playbackRate = this.speed;
+      return audio;
+    });
+    this.syncAudio();
+  }
+
+  unload() {
+    this.pause();
+    this.audio.forEach(audio => URL.revokeObjectURL(audio.src));
+    this.audio = [];
+    this.audioOffset = 0;
+    this.session = null;
+    this.events = [];
+    this.container.hidden = true;
+  }
+
+  // ===== TRANSPORT =====
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  play() {
+    if (!this.session || this.isPlaying) return;
+
+    // Start over from the top once the end is reached
+    if (this.position >= this.duration) {
+      this.seek(0);
+    }
+
+    // Show the session as it was played, whatever the controls now say
+    this.fretboard.setMode(this.session.mode, this.session.rootMIDI);
+
+    this.isPlaying = true;
+    this.lastFrameTime = null;
+    this.syncAudio();
+    this.audio.forEach(audio => {
+      audio.play().catch(error => console.error('Replay audio error:', error));
+    });
+    this.frameID = requestAnimationFrame((ts) => this.tick(ts));
+    this.updateTransport();
+  }
+
+  pause() {
+    this.isPlaying = false;
+    if (this.frameID) {
+      cancelAnimationFrame(this.frameID);
+      this.frameID = null;
+    }
+    this.audio.forEach(audio => audio.pause());
+    this.updateTransport();
+  }
+
+  seek(position) {
+    this.position = Math.max(0, Math.min(this.duration, position));
+
+    // Rebuild the fretboard from the last note before the new position
+    this.fretboard.clear();
+    this.nextEvent = this.events.findIndex(event => event.time > this.position);
+    if (this.nextEvent === -1) {
+      this.nextEvent = this.events.length;
+    }
+    if (this.nextEvent > 0) {
+      this.showEvent(this.events[this.nextEvent - 1]);
+    }
+
+    this.syncAudio();
+    this.updateTransport();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    this.audio.forEach(audio => {
+      audio.playbackRate = speed;
+    });
+  }
+
+  tick(timestamp) {
+    if (!this.isPlaying) return;
+
+    // Recorded audio is the clock when there is some; otherwise run off frame time
+    const master = this.audio.find(audio => !audio.ended && !audio.paused);
+    if (master) {
+      this.position = (master.currentTime - this.audioOffset) * 1000;
+    } else if (this.lastFrameTime !== null) {
+      this.position += (timestamp - this.lastFrameTime) * this.speed;
+    }
+    this.lastFrameTime = timestamp;
+
+    while (this.nextEvent < this.events.length && this.events[this.nextEvent].time <= this.position) {
+      this.showEvent(this.events[this.nextEvent]);
+      this.nextEvent++;
+    }
+
+    if (this.position >= this.duration) {
+      this.position = this.duration;
+      this.pause();
+      return;
+    }
+
+    this.updateTransport();
+    this.frameID = requestAnimationFrame((ts) => this.tick(ts));
+  }
+
+  showEvent(event) {
+    this.fretboard.updatePosition(event.midi);
+    this.ui.note.textContent = `${formatTime(event.time)}  ${event.note}`;
+  }
+
+  syncAudio() {
+    const target = this.audioOffset + this.position / 1000;
+    this.audio.forEach(audio => {
+      if (Math.abs(audio.currentTime - target) > AUDIO_DRIFT_LIMIT) {
+        audio.currentTime = target;
+      }
+    });
+  }
+
+  setDisabled(disabled) {
+    if (disabled) {
+      this.pause();
+    }
+    this.container.querySelectorAll('input, select, button').forEach(el => {
+      el.disabled = disabled;
+    });
+  }
+}
+
+function formatTime(ms) {
+  const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,58 @@
+// timing-analysis.js - Early/late statistics for notes aligned to the groove grid
+
+// Offsets within this many ms of the grid count as on time
+export const ON_TIME_MS = 10;
+
+// Histogram bins in ms; the outer bins also catch anything beyond them
+export const TIMING_BINS = [-60, -40, -20, 0, 20, 40, 60];
+const BIN_WIDTH = 20;
+
+// entries: [{offset (ms, negative = early), beat (0-based within the bar)}]
+export function summarizeTiming(entries, beatsPerBar) {
+  if (entries.length === 0) return null;
+
+  const offsets = entries.map(entry => entry.offset);
+  const beatCount = Math.max(Math.ceil(beatsPerBar), ...entries.map(entry => entry.beat + 1));
+
+  const beats = [];
+  for (let beat = 0; beat < beatCount; beat++) {
+    const beatOffsets = entries.filter(entry => entry.beat === beat).map(entry => entry.offset);
+    beats.push({
+      beat: beat + 1,
+      count: beatOffsets.length,
+      mean: beatOffsets.length > 0 ? mean(beatOffsets) : null,
+      bins: binOffsets(beatOffsets)
+    });
+  }
+
+  return {
+    count: entries.length,
+    mean: mean(offsets),
+    spread: standardDeviation(offsets),
+    beats
+  };
+}
+
+// Plain-words direction for an offset, e.g. "12 ms behind"
+export function describeOffset(offset) {
+  if (Math.abs(offset) <= ON_TIME_MS) return 'on the grid';
+  return `${Math.round(Math.abs(offset))} ms ${offset < 0 ? 'ahead' : 'behind'}`;
+}
+
+function binOffsets(offsets) {
+  const bins = new Array(TIMING_BINS.length).fill(0);
+  offsets.forEach(offset => {
+    const index = Math.round((offset - TIMING_BINS[0]) / BIN_WIDTH);
+    bins[Math.max(0, Math.min(bins.length - 1, index))]++;
+  });
+  return bins;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
@@ -0,0 +1,324 @@
+// tuner.js - Chromatic tuner: nearest note, cents needle and strobe, with a target for each open string
+
+const STORAGE_KEY = 'modalBassTrainer.tuning';
+
+// Open strings low to high, as MIDI notes at concert pitch (A4 = 69, low E = 28)
+export const TUNINGS = [
+  {id: 'standard', name: 'Standard (E A D G)', strings: [28, 33, 38, 43]},
+  {id: 'half-step-down', name: 'Half step down (Eb Ab Db Gb)', strings: [27, 32, 37, 42]},
+  {id: 'drop-d', name: 'Drop D (D A D G)', strings: [26, 33, 38, 43]},
+  {id: 'five-string', name: '5-string (B E A D G)', strings: [23, 28, 33, 38, 43]},
+  {id: 'tenor', name: 'Tenor (A D G C)', strings: [33, 38, 43, 48]}
+];
+
+export const OUT_OF_TUNE_CENTS = 10; // An open string further off than this is worth tuning
+export const TUNING_CHECK_DURATION = 5000; // ms the pre-session check listens for open strings at most
+export const TUNING_CHECK_INTERVAL = 10 * 60 * 1000; // ms before sessions check the tuning again
+const CHECK_READINGS = 3; // Readings of every string that end the check early
+const IN_TUNE_CENTS = 3; // Needle turns green
+const NEEDLE_RANGE = 50; // cents either side of centre
+const STROBE_BANDS = 12;
+const STROBE_RATE = 0.1; // Bands per second per cent off, so 10 cents drifts one band a second
+const READING_HOLD = 500; // ms the display keeps the last reading before going idle
+const READING_MAX_AGE = 10 * 60 * 1000; // ms; older open-string readings say little about the tuning now
+const READINGS_PER_STRING = 5; // Median of the latest, so one stray detection doesn't count
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export class Tuner {
+  constructor(containerId, minFrequency) {
+    this.container = document.getElementById(containerId);
+    this.minFrequency = minFrequency; // Strings below this can't be detected
+
+    this.tuning = loadTuning();
+    this.reading = null; // Latest detection: {frequency, midi, cents, time}
+    this.stringReadings = {}; // Open string MIDI note -> [{cents, time}], newest last
+    this.isChecking = false; // Collecting open-string readings for the pre-session check
+
+    // Display
+    this.isActive = false;
+    this.strobePhase = 0;
+    this.lastFrameTime = null;
+    this.frameID = null;
+
+    this.render();
+  }
+
+  // ===== RENDERING =====
+
+  render() {
+    this.container.innerHTML = `
+      <div class="editor-fields">
+        <div class="control-group">
+          <label for="tuner-tuning-select">Tuning:</label>
+          <select id="tuner-tuning-select">
+            ${TUNINGS.map(t => `<option value="${t.id}"${t.id === this.tuning.id ? ' selected' : ''}>${t.name}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <canvas class="tuner-display"></canvas>
+      <div class="tuner-strings"></div>
+    `;
+
+    const q = (selector) => this.container.querySelector(selector);
+    this.ui = {
+      tuningSelect: q('#tuner-tuning-select'),
+      canvas: q('.tuner-display'),
+      strings: q('.tuner-strings')
+    };
+    this.ctx = this.ui.canvas.getContext('2d');
+
+    this.ui.tuningSelect.addEventListener('change', () => this.setTuning(this.ui.tuningSelect.value));
+
+    this.renderStrings();
+  }
+
+  renderStrings() {
+    const current = this.reading ? this.reading.midi : null;
+    const now = Date.now();
+
+    this.ui.strings.innerHTML = this.tuning.strings.map(midi => {
+      const target = `${midiToNoteName(midi)} <span class="tuner-hz">${midiToFreq(midi).toFixed(1)} Hz</span>`;
+      if (midiToFreq(midi) < this.minFrequency) {
+        return `<div class="tuner-string">${target}<span class="tuner-string-reading">below detection range</span></div>`;
+      }
+
+      const cents = this.getStringCents(midi, now);
+      let reading = '';
+      if (cents !== null) {
+        const offClass = Math.abs(cents) > OUT_OF_TUNE_CENTS ? ' tuner-off' : '';
+        reading = `<span class="tuner-string-reading${offClass}">${formatCents(cents)}</span>`;
+      }
+      const activeClass = midi === current ? ' tuner-string-active' : '';
+      return `<div class="tuner-string${activeClass}">${target}${reading}</div>`;
+    }).join('');
+  }
+
+  resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const rect = this.ui.canvas.getBoundingClientRect();
+
+    this.ui.canvas.width = rect.width * dpr;
+    this.ui.canvas.height = rect.height * dpr;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    this.dimensions = {
+      width: rect.width,
+      height: rect.height
+    };
+  }
+
+  draw() {
+    const ctx = this.ctx;
+    const { width, height } = this.dimensions;
+    const reading = this.reading && Date.now() - this.reading.time < READING_HOLD ? this.reading : null;
+    const inTune = reading && Math.abs(reading.cents) <= IN_TUNE_CENTS;
+    const accent = !reading ? '#666' : inTune ? '#22c55e' : '#f59e0b';
+
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, width, height);
+
+    // Nearest note and how far off it is
+    ctx.textAlign = 'center';
+    ctx.fillStyle = reading ? '#fff' : '#666';
+    ctx.font = 'bold 36px sans-serif';
+    ctx.fillText(reading ? midiToNoteName(reading.midi) : '--', width / 2, 42);
+    ctx.fillStyle = accent;
+    ctx.font = '14px sans-serif';
+    ctx.fillText(reading ? `${formatCents(reading.cents)}  ${reading.frequency.toFixed(1)} Hz` : 'Play a note', width / 2, 64);
+
+    // Needle: -50 to +50 cents across an arc
+    const centreX = width / 2;
+    const centreY = height - 40;
+    const radius = Math.min(width / 2 - 20, height - 120);
+    const angleFor = (cents) => -Math.PI / 2 + (cents / NEEDLE_RANGE) * (Math.PI / 3);
+
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#444';
+    ctx.beginPath();
+    ctx.arc(centreX, centreY, radius, angleFor(-NEEDLE_RANGE), angleFor(NEEDLE_RANGE));
+    ctx.stroke();
+
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = '#22c55e55';
+    ctx.beginPath();
+    ctx.arc(centreX, centreY, radius, angleFor(-IN_TUNE_CENTS), angleFor(IN_TUNE_CENTS));
+    ctx.stroke();
+
+    for (let cents = -NEEDLE_RANGE; cents <= NEEDLE_RANGE; cents += 10) {
+      const angle = angleFor(cents);
+      const inner = cents === 0 ? radius - 14 : radius - 8;
+      ctx.lineWidth = cents === 0 ? 2 : 1;
+      ctx.strokeStyle = '#666';
+      ctx.beginPath();
+      ctx.moveTo(centreX + Math.cos(angle) * inner, centreY + Math.sin(angle) * inner);
+      ctx.lineTo(centreX + Math.cos(angle) * radius, centreY + Math.sin(angle) * radius);
+      ctx.stroke();
+    }
+
+    const needleCents = reading ? Math.max(-NEEDLE_RANGE, Math.min(NEEDLE_RANGE, reading.cents)) : 0;
+    const needleAngle = angleFor(needleCents);
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = accent;
+    ctx.beginPath();
+    ctx.moveTo(centreX, centreY);
+    ctx.lineTo(centreX + Math.cos(needleAngle) * (radius - 4), centreY + Math.sin(needleAngle) * (radius - 4));
+    ctx.stroke();
+
+    // Strobe: bands drift right when sharp, left when flat, and stand still in tune
+    const strobeY = height - 30;
+    const bandWidth = width / STROBE_BANDS;
+    const offset = (this.strobePhase % 1) * bandWidth;
+    ctx.fillStyle = '#222';
+    ctx.fillRect(0, strobeY, width, 20);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, strobeY, width, 20);
+    ctx.clip();
+    ctx.fillStyle = accent;
+    for (let i = -1; i <= STROBE_BANDS; i++) {
+      ctx.fillRect(i * bandWidth + offset, strobeY, bandWidth / 2, 20);
+    }
+    ctx.restore();
+  }
+
+  animate(timestamp) {
+    if (!this.isActive) return;
+
+    const elapsed = this.lastFrameTime !== null ? (timestamp - this.lastFrameTime) / 1000 : 0;
+    this.lastFrameTime = timestamp;
+
+    const reading = this.reading && Date.now() - this.reading.time < READING_HOLD ? this.reading : null;
+    if (reading) {
+      this.strobePhase = (this.strobePhase + reading.cents * STROBE_RATE * elapsed + 1) % 1;
+    }
+
+    this.draw();
+    this.frameID = requestAnimationFrame((t) => this.animate(t));
+  }
+
+  // ===== CONTROL =====
+
+  start() {
+    if (this.isActive) return;
+    this.isActive = true;
+    this.reading = null;
+    this.lastFrameTime = null;
+
+    // The panel may have been closed when the tuner was built, so size the canvas now
+    this.resize();
+    this.renderStrings();
+    this.frameID = requestAnimationFrame((t) => this.animate(t));
+  }
+
+  stop() {
+    this.isActive = false;
+    this.reading = null;
+    if (this.frameID) {
+      cancelAnimationFrame(this.frameID);
+      this.frameID = null;
+    }
+    this.renderStrings();
+  }
+
+  setTuning(tuningId) {
+    this.tuning = TUNINGS.find(t => t.id === tuningId) || TUNINGS[0];
+    this.ui.tuningSelect.value = this.tuning.id;
+    saveTuning(this.tuning.id);
+
+    // Readings against another set of open strings don't carry over
+    this.stringReadings = {};
+    this.renderStrings();
+  }
+
+  // ===== READINGS =====
+
+  // A detection from the audio input, with the cents off its nearest note as the detector computes them.
+  // Only the tuner view and the pre-session check, where the player is asked for open strings, keep
+  // string readings; pitch alone can't tell an open A from the 5th fret of the E string.
+  update(frequency, midi, cents, time = Date.now()) {
+    this.reading = {frequency, midi, cents, time};
+
+    if ((this.isActive || this.isChecking) && this.tuning.strings.includes(midi)) {
+      const readings = this.stringReadings[midi] || [];
+      readings.push({cents, time});
+      if (readings.length > READINGS_PER_STRING) readings.shift();
+      this.stringReadings[midi] = readings;
+    }
+
+    if (this.isActive) {
+      this.renderStrings();
+    }
+  }
+
+  // Median cents of a string's recent readings, or null if it hasn't been heard lately
+  getStringCents(midi, now = Date.now()) {
+    const readings = (this.stringReadings[midi] || []).filter(r => now - r.time < READING_MAX_AGE);
+    if (readings.length === 0) return null;
+    return median(readings.map(r => r.cents));
+  }
+
+  // Open strings heard lately that read more than OUT_OF_TUNE_CENTS off: [{name, cents}]
+  getOutOfTuneStrings(now = Date.now()) {
+    return this.tuning.strings
+      .map(midi => ({name: midiToNoteName(midi), cents: this.getStringCents(midi, now)}))
+      .filter(string => string.cents !== null && Math.abs(string.cents) > OUT_OF_TUNE_CENTS);
+  }
+
+  // ===== PRE-SESSION CHECK =====
+
+  // Start collecting fresh open-string readings
+  beginCheck() {
+    this.stringReadings = {};
+    this.isChecking = true;
+  }
+
+  endCheck() {
+    this.isChecking = false;
+    this.renderStrings();
+  }
+
+  // Every string the detector can hear has been read a few times
+  hasHeardAllStrings() {
+    return this.tuning.strings
+      .filter(midi => midiToFreq(midi) >= this.minFrequency)
+      .every(midi => (this.stringReadings[midi] || []).length >= CHECK_READINGS);
+  }
+}
+
+export function formatCents(cents) {
+  const rounded = Math.round(cents);
+  return `${rounded > 0 ? '+' : ''}${rounded} cents`;
+}
+
+function midiToFreq(midiNote) {
+  return 440 * Math.pow(2, (midiNote - 69) / 12);
+}
+
+function midiToNoteName(midiNote) {
+  return NOTE_NAMES[midiNote % 12] + (Math.floor(midiNote / 12) - 1);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function loadTuning() {
+  let tuningId = null;
+  try {
+    tuningId = window.localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to read tuning:', error);
+  }
+  return TUNINGS.find(t => t.id === tuningId) || TUNINGS[0];
+}
+
+function saveTuning(tuningId) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, tuningId);
+  } catch (error) {
+    console.error('Failed to save tuning:', error);
+  }
+}
@@ -0,0 +1,199 @@
+// wav-export.js - Offline rendering of drones and grooves to downloadable WAV files
+
+import { ModalAudioEngine, DRONE_VOICES } from './audio.js';
+
+export const SAMPLE_RATE = 44100;
+const CHANNELS = 2;
+const GROOVE_TAIL = 1.5; // seconds for the last notes to ring out
+const PRE_ROLL = 4; // seconds rendered before a loop so it starts mid-flow
+const LOOP_CROSSFADE = 0.05;
+const MAX_DURATION = 300;
+const PEAK_LEVEL = 0.89; // -1 dBFS
+
+export const WAV_BIT_DEPTHS = [16, 24];
+
+// Check export options. Returns a list of error messages.
+export function validateExportOptions(options) {
+  const errors = [];
+
+  if (!Number.isInteger(options.bars) || options.bars < 1 || options.bars > 128) {
+    errors.push('Length must be between 1 and 128 bars');
+  }
+  if (!WAV_BIT_DEPTHS.includes(options.bitDepth)) {
+    errors.push(`Bit depth must be ${WAV_BIT_DEPTHS.join(' or ')}`);
+  }
+  if (options.loop && options.countInBars > 0) {
+    errors.push('A count-in cannot be part of a seamless loop; turn one of them off');
+  }
+  if (errors.length === 0) {
+    const duration = getTimeline(options).length;
+    if (duration > MAX_DURATION) {
+      errors.push(`That is ${Math.round(duration)} seconds of audio; keep exports under ${MAX_DURATION / 60} minutes`);
+    }
+  }
+
+  return errors;
+}
+
+// Render the drone (options.groove null) or groove with the live engine's sound settings
+// and encode it as a WAV blob.
+export async function exportBackingTrack(liveEngine, options) {
+  // options: {rootPitch, groove, tempo, bars, countInBars, loop, bitDepth}
+  const timeline = getTimeline(options);
+  const settings = liveEngine.getSettings();
+  const tail = options.groove ? GROOVE_TAIL : DRONE_VOICES[settings.droneVoice].release + 0.1;
+  const preRoll = options.loop ? timeline.preRoll : 0;
+  const countIn = options.loop ? 0 : options.countInBars * timeline.barDuration;
+  const end = preRoll + countIn + timeline.length;
+
+  // Loops keep playing past the end for the crossfade; one-shots get a tail to ring out
+  const renderLength = options.loop ? end + LOOP_CROSSFADE : end + tail;
+  const context = new OfflineAudioContext(CHANNELS, Math.ceil(renderLength * SAMPLE_RATE), SAMPLE_RATE);
+
+  const engine = new ModalAudioEngine();
+  await engine.init(context);
+  engine.applySettings(settings);
+  engine.mixer.setSoloed('bass', false); // There is no bass input offline, so a bass solo would render silence
+
+  // No timers offline: schedule everything in one pass
+  engine.scheduleAheadTime = options.loop ? renderLength : end;
+  if (options.groove) {
+    engine.startGroove(options.rootPitch, options.groove, options.tempo, options.loop ? 0 : options.countInBars);
+  } else {
+    engine.setTempo(options.tempo);
+    engine.startDrone(options.rootPitch, engine.includeFifth, options.loop ? 0 : options.countInBars);
+    if (!options.loop) {
+      engine.releaseDrone(end);
+    }
+  }
+  engine.stopTimers();
+
+  const rendered = await context.startRendering();
+
+  let channels = [];
+  for (let c = 0; c < rendered.numberOfChannels; c++) {
+    channels.push(rendered.getChannelData(c));
+  }
+  if (options.loop) {
+    channels = channels.map(data => extractLoop(data, preRoll, timeline.length));
+  }
+
+  normalize(channels);
+  return encodeWav(channels, SAMPLE_RATE, options.bitDepth);
+}
+
+function getTimeline(options) {
+  let barDuration, loopDuration;
+
+  if (options.groove) {
+    // Same step grid the engine plays from
+    const grid = new ModalAudioEngine().prepareGrooveData(options.rootPitch, options.groove);
+    const stepDuration = 60 / options.tempo / grid.stepsPerBeat;
+    barDuration = grid.stepsPerBar * stepDuration;
+    loopDuration = grid.loopSteps * stepDuration;
+  } else {
+    // Drone bars follow the metronome's 4/4 pulse
+    barDuration = 4 * 60 / options.tempo;
+    loopDuration = barDuration;
+  }
+
+  // Loops are whole groove cycles so the pattern lines up across the seam
+  const length = options.loop
+    ? Math.ceil(options.bars * barDuration / loopDuration - 1e-9) * loopDuration
+    : options.bars * barDuration;
+
+  return {
+    barDuration,
+    length,
+    preRoll: Math.ceil(PRE_ROLL / loopDuration) * loopDuration
+  };
+}
+
+function extractLoop(data, start, length) {
+  // Crossfade the audio just past the end into the start so the loop point is seamless
+  const startSample = Math.round(start * SAMPLE_RATE);
+  const loopSamples = Math.round(length * SAMPLE_RATE);
+  const fadeSamples = Math.round(LOOP_CROSSFADE * SAMPLE_RATE);
+  const loop = data.slice(startSample, startSample + loopSamples);
+
+  for (let i = 0; i < fadeSamples; i++) {
+    const fadeIn = i / fadeSamples;
+    loop[i] = loop[i] * fadeIn + data[startSample + loopSamples + i] * (1 - fadeIn);
+  }
+  return loop;
+}
+
+function normalize(channels) {
+  let peak = 0;
+  channels.forEach(data => {
+    for (let i = 0; i < data.length; i++) {
+      peak = Math.max(peak, Math.abs(data[i]));
+    }
+  });
+  if (peak === 0) return;
+
+  const scale = PEAK_LEVEL / peak;
+  channels.forEach(data => {
+    for (let i = 0; i < data.length; i++) {
+      data[i] *= scale;
+    }
+  });
+}
+
+// Normalise a rendered AudioBuffer and encode it as a WAV blob
+export function bufferToWav(buffer, bitDepth) {
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    channels.push(buffer.getChannelData(c));
+  }
+  normalize(channels);
+  return encodeWav(channels, buffer.sampleRate, bitDepth);
+}
+
+// Encode float channels as interleaved PCM in a RIFF/WAVE container
+export function encodeWav(channels, sampleRate, bitDepth) {
+  const bytesPerSample = bitDepth / 8;
+  const frameCount = channels[0].length;
+  const blockAlign = channels.length * bytesPerSample;
+  const dataSize = frameCount * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels.length, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < frameCount; i++) {
+    channels.forEach(data => {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      if (bitDepth === 16) {
+        view.setInt16(offset, Math.round(sample * 0x7FFF), true);
+      } else {
+        // 24-bit little-endian, written a byte at a time
+        const value = Math.round(sample * 0x7FFFFF);
+        view.setUint8(offset, value & 0xFF);
+        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+      }
+      offset += bytesPerSample;
+    });
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}